@@ -0,0 +1,390 @@
+/**
+ * Computer players.  An AIController steers one worm of a GameEngine in place
+ * of the keyboard: once per frame its decide() returns the direction to pass
+ * to tick(), just like a key press would.  How it chooses is up to its
+ * strategy, which is any object with a decide(engine, player) method; the
+ * built-in ones are listed in AIStrategy.Strategies.
+ *
+ * Nothing here touches the canvas or the DOM, so computer players can be run
+ * headlessly against the engine (see AIController.playGame()).
+ *
+ * Copyright 2018 Ben Ingle
+ */
+
+/** Helpers shared by the built-in strategies */
+class AIStrategy {
+    /**
+     * @param {GameEngine} engine
+     * @param {number} player The worm to steer
+     * @returns The Direction to turn toward, or null to carry on
+     */
+    decide(engine, player) {
+        return null;
+    }
+
+    /**
+     * The moves a worm can make next: every direction except straight back
+     * @returns {{direction: Object, cell: {x: number, y: number}}[]}
+     */
+    moves(engine, player) {
+        const worm = engine.state.worms[player];
+        const moves = [];
+        for (let i = 0; i < AIStrategy.Directions.length; i++) {
+            const direction = AIStrategy.Directions[i];
+            if (direction === worm.direction || worm.canTurn(direction)) {
+                moves.push({direction: direction, cell: engine.nextCell(worm.getHead(), direction)});
+            }
+        }
+        return moves;
+    }
+
+    /**
+     * Whether a worm can move onto a cell next frame without crashing.  Its
+     * own tail is safe as it moves out of the way at the same time, unless
+     * the worm is growing, or is about to by eating what is on the cell.
+     */
+    isSafe(engine, player, cell) {
+        if (engine.isOutside(cell.x, cell.y) || engine.isWall(cell.x, cell.y)) {
+            return false;
+        }
+        const worm = engine.state.worms[player];
+        const food = engine.foodAt(cell.x, cell.y);
+        const grows = worm.growth > 0 || (food !== null && food.type.grow > 0);
+        const occupants = engine.occupantsAt(cell.x, cell.y);
+        for (let i = 0; i < occupants.length; i++) {
+            if (!(occupants[i] instanceof Worm)) {
+                continue;
+            }
+            const tail = worm.parts[0];
+            if (grows || occupants[i] !== worm || tail.x !== cell.x || tail.y !== cell.y) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    safeMoves(engine, player) {
+        return this.moves(engine, player).filter(move => this.isSafe(engine, player, move.cell));
+    }
+
+    /**
+     * Count the safe cells that can be reached from a cell, stopping at limit
+     */
+    space(engine, player, cell, limit) {
+        const seen = new Set([cell.y * engine.board.width + cell.x]);
+        const queue = [cell];
+        while (queue.length > 0 && seen.size < limit) {
+            const current = queue.shift();
+            for (let i = 0; i < AIStrategy.Directions.length; i++) {
+                const next = engine.nextCell(current, AIStrategy.Directions[i]);
+                const key = next.y * engine.board.width + next.x;
+                if (!seen.has(key) && this.isSafe(engine, player, next)) {
+                    seen.add(key);
+                    queue.push(next);
+                }
+            }
+        }
+        return seen.size;
+    }
+
+    /**
+     * The safe move that leaves the most room, for when there is nothing
+     * better to do
+     * @returns A Direction, or null if every move crashes
+     */
+    roomiest(engine, player) {
+        const limit = engine.state.worms[player].size() * 2;
+        let best = null;
+        let bestSpace = -1;
+        const moves = this.safeMoves(engine, player);
+        for (let i = 0; i < moves.length; i++) {
+            const space = this.space(engine, player, moves[i].cell, limit);
+            if (space > bestSpace) {
+                best = moves[i].direction;
+                bestSpace = space;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The number of steps between two cells, taking the short way around
+     * when the board wraps
+     */
+    static distance(engine, from, to) {
+        let dx = Math.abs(to.x - from.x);
+        let dy = Math.abs(to.y - from.y);
+        if (engine.options.wrap) {
+            dx = Math.min(dx, engine.board.width - dx);
+            dy = Math.min(dy, engine.board.height - dy);
+        }
+        return dx + dy;
+    }
+
+    /**
+     * Make a strategy from its name in AIStrategy.Strategies
+     */
+    static create(name) {
+        if (!AIStrategy.Strategies[name]) {
+            throw new Error('Unknown AI strategy: ' + name);
+        }
+        return new AIStrategy.Strategies[name]();
+    }
+}
+
+AIStrategy.Directions = [Direction.UP, Direction.RIGHT, Direction.DOWN, Direction.LEFT];
+
+/** Heads straight for the apple, only avoiding crashing on the very next move */
+class GreedyStrategy extends AIStrategy {
+    decide(engine, player) {
+        const apple = engine.state.apple;
+        const moves = this.safeMoves(engine, player);
+        if (!apple || moves.length === 0) {
+            return null;
+        }
+        let best = moves[0];
+        for (let i = 1; i < moves.length; i++) {
+            if (AIStrategy.distance(engine, moves[i].cell, apple) < AIStrategy.distance(engine, best.cell, apple)) {
+                best = moves[i];
+            }
+        }
+        return best.direction;
+    }
+}
+
+/**
+ * Follows the shortest path to the apple that doesn't cross anything, found
+ * with a breadth first search.  When there is no path, or taking it would
+ * leave the worm boxed in, it makes the move that leaves the most room.
+ */
+class ShortestPathStrategy extends AIStrategy {
+    decide(engine, player) {
+        const worm = engine.state.worms[player];
+        const step = this.firstStep(engine, player);
+        if (step && this.space(engine, player, step.cell, worm.size()) >= worm.size()) {
+            return step.direction;
+        }
+        return this.roomiest(engine, player);
+    }
+
+    /**
+     * The first move along the shortest safe path to the apple
+     * @returns {{direction: Object, cell: Object}} The move, or null if there is no path
+     */
+    firstStep(engine, player) {
+        const apple = engine.state.apple;
+        if (!apple) {
+            return null;
+        }
+        const width = engine.board.width;
+        // each cell reached remembers the first move taken to get there
+        const firstMoves = new Map();
+        const queue = [];
+        const moves = this.safeMoves(engine, player);
+        for (let i = 0; i < moves.length; i++) {
+            firstMoves.set(moves[i].cell.y * width + moves[i].cell.x, moves[i]);
+            queue.push(moves[i].cell);
+        }
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            const first = firstMoves.get(cell.y * width + cell.x);
+            if (cell.x === apple.x && cell.y === apple.y) {
+                return first;
+            }
+            for (let i = 0; i < AIStrategy.Directions.length; i++) {
+                const next = engine.nextCell(cell, AIStrategy.Directions[i]);
+                const key = next.y * width + next.x;
+                if (!firstMoves.has(key) && this.isSafe(engine, player, next)) {
+                    firstMoves.set(key, first);
+                    queue.push(next);
+                }
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * The 'perfect' player: follows a path that visits every cell of the board
+ * once and comes back to the start, so it never runs into itself and
+ * eventually eats every apple.  Boards with walls inside the playing area, or
+ * without an even side, have no such path and it plays like
+ * ShortestPathStrategy instead.
+ */
+class HamiltonianStrategy extends ShortestPathStrategy {
+    constructor() {
+        super();
+        this.cycleKey = null;
+        this.cycle = null;
+    }
+
+    decide(engine, player) {
+        const cycle = this.cycleFor(engine);
+        const worm = engine.state.worms[player];
+        if (cycle) {
+            const next = cycle.get(worm.y * engine.board.width + worm.x);
+            if (next) {
+                const direction = HamiltonianStrategy.directionBetween(worm.getHead(), next);
+                if ((direction === worm.direction || worm.canTurn(direction)) && this.isSafe(engine, player, next)) {
+                    return direction;
+                }
+            }
+        }
+        return super.decide(engine, player);
+    }
+
+    /**
+     * The cycle for the engine's current board, worked out once per board
+     * @returns {Map} The next cell for each cell on the cycle, keyed by y * width + x, or null
+     */
+    cycleFor(engine) {
+        const key = engine.state.level || engine.board;
+        if (this.cycleKey !== key) {
+            this.cycleKey = key;
+            this.cycle = HamiltonianStrategy.buildCycle(engine);
+        }
+        return this.cycle;
+    }
+
+    /**
+     * Lay a cycle over the rectangle inside the board's outer walls (the
+     * whole board when there are none)
+     */
+    static buildCycle(engine) {
+        const board = engine.board;
+        let left = 0;
+        let top = 0;
+        let right = board.width - 1;
+        let bottom = board.height - 1;
+        while (left < right && HamiltonianStrategy.isWallLine(engine, left, top, left, bottom)) {
+            left++;
+        }
+        while (right > left && HamiltonianStrategy.isWallLine(engine, right, top, right, bottom)) {
+            right--;
+        }
+        while (top < bottom && HamiltonianStrategy.isWallLine(engine, left, top, right, top)) {
+            top++;
+        }
+        while (bottom > top && HamiltonianStrategy.isWallLine(engine, left, bottom, right, bottom)) {
+            bottom--;
+        }
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                if (engine.isWall(x, y)) {
+                    return null;
+                }
+            }
+        }
+        const width = right - left + 1;
+        const height = bottom - top + 1;
+        let path;
+        if (height % 2 === 0) {
+            path = HamiltonianStrategy.snake(width, height, (x, y) => ({x: left + x, y: top + y}));
+        } else if (width % 2 === 0) {
+            path = HamiltonianStrategy.snake(height, width, (x, y) => ({x: left + y, y: top + x}));
+        } else {
+            return null;
+        }
+        const cycle = new Map();
+        for (let i = 0; i < path.length; i++) {
+            const cell = path[i];
+            cycle.set(cell.y * board.width + cell.x, path[(i + 1) % path.length]);
+        }
+        return cycle;
+    }
+
+    /**
+     * A cycle through every cell of a width by height rectangle, height even:
+     * along the top row, snaking back and forth over the rest of the
+     * columns, and up the first column to the start
+     * @param {function} place Turns rectangle coordinates into board cells
+     */
+    static snake(width, height, place) {
+        const path = [];
+        for (let x = 0; x < width; x++) {
+            path.push(place(x, 0));
+        }
+        for (let y = 1; y < height; y++) {
+            for (let i = 1; i < width; i++) {
+                path.push(place(y % 2 === 1 ? width - i : i, y));
+            }
+        }
+        for (let y = height - 1; y > 0; y--) {
+            path.push(place(0, y));
+        }
+        return path;
+    }
+
+    static isWallLine(engine, x1, y1, x2, y2) {
+        for (let y = y1; y <= y2; y++) {
+            for (let x = x1; x <= x2; x++) {
+                if (!engine.isWall(x, y)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * The Direction from a cell to a neighbouring one
+     */
+    static directionBetween(from, to) {
+        for (let i = 0; i < AIStrategy.Directions.length; i++) {
+            const direction = AIStrategy.Directions[i];
+            if (from.x + direction.x === to.x && from.y + direction.y === to.y) {
+                return direction;
+            }
+        }
+        return Direction.NONE;
+    }
+}
+
+/** The built-in strategies by name */
+AIStrategy.Strategies = {
+    greedy: GreedyStrategy,
+    path: ShortestPathStrategy,
+    hamiltonian: HamiltonianStrategy
+};
+
+/** Steers one worm of a GameEngine with a strategy */
+class AIController {
+    /**
+     * @param {GameEngine} engine
+     * @param {number} player The worm to steer
+     * @param {AIStrategy|string} strategy A strategy, or the name of a built-in one
+     */
+    constructor(engine, player = 0, strategy = 'path') {
+        this.engine = engine;
+        this.player = player;
+        this.strategy = typeof strategy === 'string' ? AIStrategy.create(strategy) : strategy;
+    }
+
+    /**
+     * @returns The direction for this frame's tick(), or null
+     */
+    decide() {
+        const state = this.engine.state;
+        if (state.gameState !== GameEngine.GameState.PLAYING || !state.worms[this.player]) {
+            return null;
+        }
+        return this.strategy.decide(this.engine, this.player);
+    }
+
+    /**
+     * Play a whole game with nobody at the keyboard
+     * @param {GameEngine} engine A freshly reset engine
+     * @param {AIController[]} controllers One for each worm
+     * @param {number} maxFrames Give up after this many frames
+     * @returns The final state
+     */
+    static playGame(engine, controllers, maxFrames = AIController.MaxFrames) {
+        engine.resume();
+        while (engine.state.gameState === GameEngine.GameState.PLAYING && engine.state.frame < maxFrames) {
+            engine.tick(controllers.map(controller => controller.decide()));
+        }
+        return engine.state;
+    }
+}
+
+AIController.MaxFrames = 100000;
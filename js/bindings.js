@@ -0,0 +1,397 @@
+/**
+ * Key bindings: which physical keys (KeyboardEvent.code values, so they don't
+ * change with the keyboard layout) perform which game actions.  Bindings
+ * start from a profile and can then be changed one action at a time.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class KeyBindings {
+    /**
+     * @param {string} profile The name of the profile the bindings are based on
+     * @param {Object<string, string[]>} keys The key codes for each action.  Defaults to the profile's.
+     */
+    constructor(profile = 'default', keys = null) {
+        if (!KeyBindings.Profiles[profile]) {
+            throw new Error('Unknown key binding profile: ' + profile);
+        }
+        this.profile = profile;
+        this.keys = {};
+        const profileKeys = KeyBindings.Profiles[profile].keys;
+        for (let i = 0; i < KeyBindings.Actions.length; i++) {
+            const action = KeyBindings.Actions[i].name;
+            const codes = keys && Array.isArray(keys[action]) ? keys[action] : profileKeys[action];
+            this.keys[action] = codes.slice();
+        }
+        const bound = {};
+        for (let action in this.keys) {
+            for (let i = 0; i < this.keys[action].length; i++) {
+                const code = this.keys[action][i];
+                if (bound[code]) {
+                    throw new Error(`${KeyBindings.keyName(code)} is bound to both ${bound[code]} and ${action}`);
+                }
+                bound[code] = action;
+            }
+        }
+    }
+
+    /**
+     * Throw away any changes and use a profile's keys
+     * @param {string} profile The name of a profile in KeyBindings.Profiles
+     */
+    useProfile(profile) {
+        const bindings = new KeyBindings(profile);
+        this.profile = bindings.profile;
+        this.keys = bindings.keys;
+    }
+
+    /**
+     * @param {string} code A KeyboardEvent.code
+     * @param {number} players The number of players.  Keys for the second
+     *     player only work with two players.
+     * @returns The action bound to the key, or null
+     */
+    actionFor(code, players = 1) {
+        for (let i = 0; i < KeyBindings.Actions.length; i++) {
+            const action = KeyBindings.Actions[i];
+            if ((action.players || 1) <= players && this.keysFor(action.name).indexOf(code) >= 0) {
+                return action.name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @returns The key codes bound to an action
+     */
+    keysFor(action) {
+        return this.keys[action] || [];
+    }
+
+    /**
+     * Make a key the only key for an action.  The key stops doing whatever it
+     * did before.
+     */
+    bind(action, code) {
+        for (let other in this.keys) {
+            this.keys[other] = this.keys[other].filter(key => key !== code);
+        }
+        this.keys[action] = [code];
+    }
+
+    /**
+     * The keys that perform an action with the given number of players: none
+     * for the second player's actions in a one player game
+     */
+    activeKeysFor(action, players = 1) {
+        return this.keysFor(action).filter(code => this.actionFor(code, players) === action);
+    }
+
+    /**
+     * A readable name for the keys bound to an action
+     * @param {string} action
+     * @param {boolean} first Only name the first key
+     */
+    describe(action, first = false) {
+        return KeyBindings.describeKeys(this.keysFor(action), first);
+    }
+
+    /**
+     * The help text for these bindings, one line per action.  Actions
+     * without a working key are left out.
+     * @param {number} players The number of players
+     * @returns {string[]}
+     */
+    helpLines(players = 1) {
+        const moves = players > 1 ? [['', 'Move Player 1'], ['2', 'Move Player 2']] : [['', 'Move Worm']];
+        const lines = moves.map(move => ['up', 'down', 'left', 'right']
+            .map(action => KeyBindings.describeKeys(this.activeKeysFor(action + move[0], players), true))
+            .join('/') + ': ' + move[1]);
+        for (let i = 0; i < KeyBindings.Actions.length; i++) {
+            const action = KeyBindings.Actions[i];
+            const keys = this.activeKeysFor(action.name, players);
+            if (action.help && keys.length > 0) {
+                lines.push(KeyBindings.describeKeys(keys) + ': ' + action.help);
+            }
+        }
+        return lines;
+    }
+
+    toJSON() {
+        return {
+            profile: this.profile,
+            keys: this.keys
+        };
+    }
+
+    /**
+     * Save the bindings to a Storage (e.g. localStorage)
+     */
+    save(storage) {
+        storage.setItem(KeyBindings.StorageKey, JSON.stringify(this));
+    }
+
+    /**
+     * Read bindings saved with save().  Saved bindings that can't be read are
+     * ignored and the default profile is used.
+     * @returns {KeyBindings}
+     */
+    static load(storage) {
+        const saved = storage.getItem(KeyBindings.StorageKey);
+        if (saved) {
+            try {
+                const json = JSON.parse(saved);
+                return new KeyBindings(json.profile, json.keys);
+            } catch (e) {
+                Logger.get('input').warn('Ignoring saved key bindings: ' + e.message);
+            }
+        }
+        return new KeyBindings();
+    }
+
+    /**
+     * @param {string[]} keys KeyboardEvent.code values
+     * @param {boolean} first Only name the first key
+     */
+    static describeKeys(keys, first = false) {
+        if (keys.length === 0) {
+            return '(none)';
+        }
+        return (first ? keys.slice(0, 1) : keys).map(KeyBindings.keyName).join(' or ');
+    }
+
+    /**
+     * A short, readable name for a KeyboardEvent.code
+     */
+    static keyName(code) {
+        if (KeyBindings.KeyNames[code]) {
+            return KeyBindings.KeyNames[code];
+        }
+        return code.replace(/^(Key|Digit|Arrow)/, '').replace(/^Numpad/, 'Num ');
+    }
+}
+
+/**
+ * The state of the key binding screen: which action is chosen and whether it
+ * is waiting for a new key.  The screen's own keys are fixed so that it can't
+ * be locked out by a bad binding.
+ */
+class KeyBindingsEditor {
+    /**
+     * @param {KeyBindings} bindings The bindings to change
+     */
+    constructor(bindings) {
+        this.bindings = bindings;
+        this.isOpen = false;
+        this.selected = 0;
+        this.waiting = false;
+    }
+
+    /**
+     * The action that is chosen
+     */
+    get action() {
+        return KeyBindings.Actions[this.selected].name;
+    }
+
+    open() {
+        this.isOpen = true;
+        this.waiting = false;
+    }
+
+    close() {
+        this.isOpen = false;
+        this.waiting = false;
+    }
+
+    /**
+     * Switch the bindings to the profile after the current one
+     */
+    nextProfile() {
+        const profiles = Object.keys(KeyBindings.Profiles);
+        this.bindings.useProfile(profiles[(profiles.indexOf(this.bindings.profile) + 1) % profiles.length]);
+    }
+
+    /**
+     * Handle a key press while the screen is open
+     * @param {string} code A KeyboardEvent.code
+     * @returns true if the bindings were changed
+     */
+    keyDown(code) {
+        if (this.waiting) {
+            this.waiting = false;
+            if (code === 'Escape') {
+                return false;
+            }
+            this.bindings.bind(this.action, code);
+            return true;
+        }
+        const count = KeyBindings.Actions.length;
+        switch(code) {
+            case 'ArrowUp':
+                this.selected = (this.selected + count - 1) % count;
+                return false;
+            case 'ArrowDown':
+                this.selected = (this.selected + 1) % count;
+                return false;
+            case 'Enter':
+                this.waiting = true;
+                return false;
+            case 'Tab':
+                this.nextProfile();
+                return true;
+            case 'Backspace':
+                this.bindings.useProfile(this.bindings.profile);
+                return true;
+            case 'Escape':
+                this.close();
+                return false;
+        }
+        if (this.bindings.actionFor(code) === 'bindings') {
+            this.close();
+        }
+        return false;
+    }
+}
+
+KeyBindingsEditor.Help = [
+    'Up/Down: Choose, Enter: Change Key, Esc: Close',
+    'Tab: Next Profile, Backspace: Reset Profile'
+];
+
+KeyBindings.StorageKey = 'bindings';
+
+/**
+ * Every action a key can be bound to, in the order they are listed.  Actions
+ * with help text appear in the help screen, actions with players only work
+ * with at least that many players.
+ */
+KeyBindings.Actions = [
+    {name: 'up', description: 'Move Up'},
+    {name: 'down', description: 'Move Down'},
+    {name: 'left', description: 'Move Left'},
+    {name: 'right', description: 'Move Right'},
+    {name: 'up2', description: 'Player 2 Up', players: 2},
+    {name: 'down2', description: 'Player 2 Down', players: 2},
+    {name: 'left2', description: 'Player 2 Left', players: 2},
+    {name: 'right2', description: 'Player 2 Right', players: 2},
+    {name: 'pause', description: 'Pause/Resume', help: 'Pause/Resume'},
+    {name: 'debug', description: 'Debug', help: 'Enable/Disable Debug'},
+    {name: 'mute', description: 'Mute', help: 'Mute/Unmute'},
+    {name: 'wrap', description: 'Walls/Wrap', help: 'Walls/Wrap Around'},
+    {name: 'level', description: 'Change Level', help: 'Change Level'},
+    {name: 'players', description: 'Players', help: '1 or 2 Players'},
+    {name: 'difficulty', description: 'Difficulty', help: 'Change Difficulty'},
+    {name: 'bindings', description: 'Key Bindings', help: 'Change Keys'},
+    {name: 'scores', description: 'High Scores', help: 'High Scores'},
+    {name: 'settings', description: 'Settings', help: 'Settings'},
+    {name: 'sounds', description: 'Debug: Sound Effects'},
+    {name: 'step', description: 'Replay: Step'},
+    {name: 'faster', description: 'Replay: Faster'},
+    {name: 'slower', description: 'Replay: Slower'},
+    {name: 'exit', description: 'Replay: Exit'}
+];
+
+KeyBindings.Profiles = {
+    default: {
+        description: 'Arrows',
+        keys: {
+            up: ['ArrowUp'],
+            down: ['ArrowDown'],
+            left: ['ArrowLeft'],
+            right: ['ArrowRight'],
+            up2: ['KeyW'],
+            down2: ['KeyS'],
+            left2: ['KeyA'],
+            right2: ['KeyD'],
+            pause: ['Space'],
+            debug: ['KeyG'],
+            mute: ['KeyM'],
+            wrap: ['KeyR'],
+            level: ['KeyL'],
+            players: ['KeyP'],
+            difficulty: ['KeyF'],
+            bindings: ['KeyK'],
+            scores: ['KeyT'],
+            settings: ['KeyO'],
+            sounds: ['KeyV'],
+            step: ['Period'],
+            faster: ['Equal', 'NumpadAdd'],
+            slower: ['Minus', 'NumpadSubtract'],
+            exit: ['Escape']
+        }
+    },
+    wasd: {
+        description: 'WASD',
+        keys: {
+            up: ['KeyW'],
+            down: ['KeyS'],
+            left: ['KeyA'],
+            right: ['KeyD'],
+            up2: ['ArrowUp'],
+            down2: ['ArrowDown'],
+            left2: ['ArrowLeft'],
+            right2: ['ArrowRight'],
+            pause: ['Space'],
+            debug: ['KeyG'],
+            mute: ['KeyM'],
+            wrap: ['KeyR'],
+            level: ['KeyL'],
+            players: ['KeyP'],
+            difficulty: ['KeyF'],
+            bindings: ['KeyK'],
+            scores: ['KeyT'],
+            settings: ['KeyO'],
+            sounds: ['KeyV'],
+            step: ['Period'],
+            faster: ['Equal', 'NumpadAdd'],
+            slower: ['Minus', 'NumpadSubtract'],
+            exit: ['Escape']
+        }
+    },
+    vim: {
+        description: 'Vim (HJKL)',
+        keys: {
+            up: ['KeyK'],
+            down: ['KeyJ'],
+            left: ['KeyH'],
+            right: ['KeyL'],
+            up2: ['KeyW'],
+            down2: ['KeyS'],
+            left2: ['KeyA'],
+            right2: ['KeyD'],
+            pause: ['Space'],
+            debug: ['KeyG'],
+            mute: ['KeyM'],
+            wrap: ['KeyR'],
+            level: ['KeyN'],
+            players: ['KeyP'],
+            difficulty: ['KeyF'],
+            bindings: ['KeyB'],
+            scores: ['KeyT'],
+            settings: ['KeyO'],
+            sounds: ['KeyV'],
+            step: ['Period'],
+            faster: ['Equal', 'NumpadAdd'],
+            slower: ['Minus', 'NumpadSubtract'],
+            exit: ['Escape']
+        }
+    }
+};
+
+KeyBindings.KeyNames = {
+    Space: 'Space',
+    Escape: 'Esc',
+    Period: '.',
+    Comma: ',',
+    Equal: '=',
+    Minus: '-',
+    Slash: '/',
+    Semicolon: ';',
+    Quote: "'",
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Backquote: '`',
+    NumpadAdd: 'Num +',
+    NumpadSubtract: 'Num -'
+};
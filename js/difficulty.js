@@ -0,0 +1,89 @@
+/**
+ * Difficulty presets.  A difficulty sets how fast a game starts, how it
+ * speeds up as the worm eats and how much each point is worth.
+ *
+ * The speed follows a curve over the number of speed-ups the worm has eaten
+ * (most food is one speed-up, see Food.Types):
+ *
+ *     linear       startFps + increment * speedUps
+ *     stepped      startFps + increment * floor(speedUps / every)
+ *     exponential  startFps * (1 + increment) ^ speedUps
+ *
+ * and never goes over maxFps, when there is one.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class Difficulty {
+    /**
+     * @param {{name: string, label: string, startFps: number, increment: number, maxFps: number,
+     *     curve: string, every: number, multiplier: number}} preset
+     *     maxFps may be null for no limit, every is only used by the stepped curve
+     */
+    constructor(preset) {
+        if (Difficulty.Curves.indexOf(preset.curve) < 0) {
+            throw new Error('Unknown speed curve: ' + preset.curve);
+        }
+        this.name = preset.name;
+        this.label = preset.label || preset.name;
+        this.startFps = preset.startFps;
+        this.increment = preset.increment;
+        this.maxFps = preset.maxFps === undefined ? null : preset.maxFps;
+        this.curve = preset.curve;
+        this.every = preset.every || 1;
+        this.multiplier = preset.multiplier || 1;
+    }
+
+    /**
+     * The frames per second after a number of speed-ups
+     * @param {number} speedUps
+     * @param {number} startFps Where to start instead of this difficulty's startFps
+     */
+    fps(speedUps, startFps = null) {
+        const start = startFps === null ? this.startFps : startFps;
+        let fps;
+        switch(this.curve) {
+            case 'stepped':
+                fps = start + this.increment * Math.floor(speedUps / this.every);
+                break;
+            case 'exponential':
+                fps = start * Math.pow(1 + this.increment, speedUps);
+                break;
+            default:
+                fps = start + this.increment * speedUps;
+        }
+        return this.maxFps === null ? fps : Math.min(fps, this.maxFps);
+    }
+
+    /**
+     * Add a difficulty, or replace the one with the same name
+     * @returns {Difficulty}
+     */
+    static add(difficulty) {
+        Difficulty.Presets[difficulty.name] = difficulty;
+        return difficulty;
+    }
+
+    /**
+     * @returns The difficulty with the given name, or null
+     */
+    static find(name) {
+        return Difficulty.Presets[name] || null;
+    }
+}
+
+Difficulty.Curves = ['linear', 'stepped', 'exponential'];
+
+Difficulty.Default = 'normal';
+
+/** Every difficulty by name, in the order they are offered */
+Difficulty.Presets = {};
+
+Difficulty.add(new Difficulty({name: 'easy', label: 'Easy', startFps: 7, increment: 0.25, maxFps: 15,
+    curve: 'linear', multiplier: 1}));
+// the classic game
+Difficulty.add(new Difficulty({name: 'normal', label: 'Normal', startFps: 10, increment: 0.5, maxFps: null,
+    curve: 'linear', multiplier: 1}));
+Difficulty.add(new Difficulty({name: 'hard', label: 'Hard', startFps: 12, increment: 2, maxFps: 30,
+    curve: 'stepped', every: 4, multiplier: 2}));
+Difficulty.add(new Difficulty({name: 'insane', label: 'Insane', startFps: 15, increment: 0.05, maxFps: 60,
+    curve: 'exponential', multiplier: 3}));
@@ -0,0 +1,914 @@
+/**
+ * The headless game engine.  Holds the worm, the apple, the board, the score
+ * and the game state and advances them one tick at a time.  Nothing in this
+ * file touches the canvas, the DOM, audio or storage, so it can be loaded
+ * and driven outside of a browser.  Views (sprites, sounds, storage) observe
+ * the engine by registering listeners.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+
+/** The directions a worm can travel, as a unit offset in cells */
+const Direction = {
+    UP: {x: 0, y: -1},
+    DOWN: {x: 0, y: 1},
+    LEFT: {x: -1, y: 0},
+    RIGHT: {x: 1, y: 0},
+    NONE: {x: 0, y: 0}
+}
+
+/**
+ * Keeps track of what occupies each cell of the board so that collision
+ * queries don't need to scan every entity.  Occupants are added and removed as
+ * rectangles of cells; anything outside the board is ignored.
+ */
+class OccupancyGrid {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.cells = new Array(width * height);
+        this.occupiedCount = 0;
+    }
+
+    /**
+     * Whether the given cell is on the grid
+     */
+    contains(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height;
+    }
+
+    /**
+     * Mark the cells covered by a rectangle as occupied by the given occupant.
+     * An occupant may be added to the same cell more than once.
+     */
+    add(occupant, x, y, width = 1, height = 1) {
+        for (let j = y; j < y + height; j++) {
+            for (let i = x; i < x + width; i++) {
+                if (!this.contains(i, j)) {
+                    continue;
+                }
+                const index = j * this.width + i;
+                if (!this.cells[index]) {
+                    this.cells[index] = [];
+                }
+                if (this.cells[index].length === 0) {
+                    this.occupiedCount += 1;
+                }
+                this.cells[index].push(occupant);
+            }
+        }
+    }
+
+    /**
+     * Undo one add() of the given occupant over a rectangle of cells
+     */
+    remove(occupant, x, y, width = 1, height = 1) {
+        for (let j = y; j < y + height; j++) {
+            for (let i = x; i < x + width; i++) {
+                if (!this.contains(i, j)) {
+                    continue;
+                }
+                const occupants = this.cells[j * this.width + i];
+                const index = occupants ? occupants.indexOf(occupant) : -1;
+                if (index >= 0) {
+                    occupants.splice(index, 1);
+                    if (occupants.length === 0) {
+                        this.occupiedCount -= 1;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns The occupants of the given cell; an empty list for cells off the grid
+     */
+    at(x, y) {
+        if (!this.contains(x, y)) {
+            return OccupancyGrid.Empty;
+        }
+        return this.cells[y * this.width + x] || OccupancyGrid.Empty;
+    }
+
+    /**
+     * How many times the given occupant covers the given cell
+     */
+    count(x, y, occupant) {
+        const occupants = this.at(x, y);
+        let count = 0;
+        for (let i = 0; i < occupants.length; i++) {
+            if (occupants[i] === occupant) {
+                count += 1;
+            }
+        }
+        return count;
+    }
+
+    has(x, y, occupant) {
+        return this.at(x, y).indexOf(occupant) >= 0;
+    }
+
+    isFree(x, y) {
+        return this.contains(x, y) && this.at(x, y).length === 0;
+    }
+
+    isFull() {
+        return this.occupiedCount === this.width * this.height;
+    }
+
+    /**
+     * Every cell on the grid that nothing occupies, row by row
+     * @returns {{x: number, y: number}[]}
+     */
+    freeCells() {
+        const free = [];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.at(x, y).length === 0) {
+                    free.push({x: x, y: y});
+                }
+            }
+        }
+        return free;
+    }
+}
+
+OccupancyGrid.Empty = [];
+
+/**
+ * A worm is a list of cells ordered from tail to head, moving in a direction.
+ * The worm keeps its cells marked on an OccupancyGrid as it grows and shrinks.
+ */
+class Worm {
+    /**
+     * @param {{x: number, y: number}[]} parts The cells of the worm, tail first
+     * @param {{x: number, y: number}} direction One of the Direction entries
+     * @param {OccupancyGrid} grid The grid of the board the worm is on
+     */
+    constructor(parts, direction = Direction.RIGHT, grid) {
+        this.parts = parts;
+        this.direction = direction;
+        this.grid = grid;
+        // segments still to grow, one per move
+        this.growth = 0;
+        for (let i = 0; i < parts.length; i++) {
+            grid.add(this, parts[i].x, parts[i].y);
+        }
+    }
+
+    get x() {
+        return this.getHead().x;
+    }
+
+    get y() {
+        return this.getHead().y;
+    }
+
+    addHead(x, y) {
+        const newPart = {x: x, y: y};
+        this.parts.push(newPart);
+        this.grid.add(this, x, y);
+        return newPart;
+    }
+
+    getHead() {
+        return this.parts[this.size() - 1];
+    }
+
+    size() {
+        return this.parts.length;
+    }
+
+    removeTail() {
+        const tail = this.parts.shift();
+        this.grid.remove(this, tail.x, tail.y);
+        return tail;
+    }
+
+    /**
+     * Whether the head occupies the same cell as any other part of the worm
+     */
+    isSelfCollision() {
+        return this.grid.count(this.x, this.y, this) > 1;
+    }
+
+    /**
+     * Whether the worm can turn to face the given direction.  A worm cannot
+     * turn onto the axis it is already travelling along.
+     * @param {{x: number, y: number}} direction
+     */
+    canTurn(direction) {
+        if (!direction || direction === Direction.NONE) {
+            return false;
+        }
+        return this.direction.x * direction.x === 0 && this.direction.y * direction.y === 0;
+    }
+}
+
+/**
+ * The game rules.  Call tick(input) once per game frame with the direction
+ * the player asked for (or null) and it returns the new state.  Interested
+ * parties can register for 'turn', 'levelUp', 'levelComplete', 'gameOver',
+ * 'win', 'reset', 'stateChange', 'powerUp' and 'powerDown' events with
+ * addListener().
+ *
+ * With two players there are two worms on the board.  They move at the same
+ * time, and a worm that runs into the other one crashes just like running
+ * into itself; when their heads meet both crash.  The game is over as soon as
+ * a worm crashes and the player left standing wins.
+ *
+ * Power-ups give a worm effects that bend the rules for a while.  The rules
+ * that can be bent ask the worm's effects through passes(), scorePoints() and
+ * speed(); see powerups.js.
+ */
+class GameEngine {
+    /**
+     * @param {number} width The width of the board in cells
+     * @param {number} height The height of the board in cells
+     * @param {{speed: number, difficulty: string, seed: number, random: SeededRandom, wrap: boolean,
+     *     level: string, players: number, food: boolean}} options
+     *     speed is the starting frames per second, null for the difficulty's.
+     *     difficulty is the name of a Difficulty preset.
+     *     random may be any object with the same next/nextInt/nextSeed/reseed methods.
+     *     wrap makes the worm leave one edge of the board and come back on the opposite one.
+     *     level is the name of the Level to start on; without one the board is open and
+     *     width by height cells.
+     *     players is the number of worms, 1 or 2.
+     *     food brings out the other kinds of Food besides the apple.
+     */
+    constructor(width, height, options = {}) {
+        this.openBoard = {
+            width: width,
+            height: height
+        };
+        this.board = this.openBoard;
+        this.options = Object.assign({speed: null, difficulty: Difficulty.Default, wrap: false, level: null, players: 1,
+            food: false}, options);
+        this.random = this.options.random || new SeededRandom(this.options.seed);
+        this.listeners = {};
+        this.reset(this.random.seed);
+    }
+
+    /**
+     * Register a listener for an engine event
+     * @param {string} type The event name
+     * @param {function} listener Called with the current state and any event details
+     */
+    addListener(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+
+    removeListener(type, listener) {
+        const listeners = this.listeners[type] || [];
+        const index = listeners.indexOf(listener);
+        if (index >= 0) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(type, ...args) {
+        const listeners = this.listeners[type] || [];
+        for (let i = 0; i < listeners.length; i++) {
+            listeners[i](this.state, ...args);
+        }
+    }
+
+    /**
+     * Advance the game by one frame.  The input direction is applied even
+     * while paused, but the worms only move while the game is being played.
+     * @param {{x: number, y: number}|Array} input A Direction to turn toward, or null.
+     *     With two players, an array with one of those for each worm.
+     * @returns The new state
+     */
+    tick(input = null) {
+        const state = this.state;
+        const inputs = Array.isArray(input) ? input : [input];
+        for (let i = 0; i < inputs.length; i++) {
+            this.turn(inputs[i], i);
+        }
+        if (state.gameState !== GameEngine.GameState.PLAYING) {
+            return state;
+        }
+        state.frame += 1;
+        // the game's own clock, so it is the same in a replay at any speed
+        state.time += 1 / this.speed();
+        const worms = state.worms;
+        // every worm moves before any of them is checked, so a worm can
+        // follow the other one's tail
+        for (let i = 0; i < worms.length; i++) {
+            const next = this.nextCell(worms[i].getHead(), worms[i].direction, i);
+            worms[i].addHead(next.x, next.y);
+        }
+        this.expireFood();
+        this.expireEffects();
+        for (let i = 0; i < worms.length; i++) {
+            // detect a collision with food
+            const food = this.foodAt(worms[i].x, worms[i].y);
+            if (food) {
+                Logger.get('game').debug('Detected collision with ' + food.type.name);
+                this.levelUp(i, food);
+            }
+            if (worms[i].growth > 0) {
+                worms[i].growth -= 1;
+            } else {
+                worms[i].removeTail();
+            }
+        }
+        // eating the last apple on a full board wins the game
+        if (state.gameState !== GameEngine.GameState.PLAYING) {
+            return state;
+        }
+        for (let i = 0; i < worms.length; i++) {
+            const effects = this.effectsOf(i);
+            for (let j = 0; j < effects.length; j++) {
+                if (effects[j].type.frame) {
+                    effects[j].type.frame(this, i);
+                }
+            }
+        }
+        const crashed = worms.filter((worm, player) => this.isCrash(worm, player));
+        if (crashed.length > 0) {
+            this.gameOver(crashed);
+        } else if (this.isLevelComplete()) {
+            this.completeLevel();
+        }
+        return state;
+    }
+
+    /**
+     * Whether a worm's head has run into itself, another worm, a wall or the
+     * edge of the board, and its effects don't let it pass
+     * @param {Worm} worm
+     * @param {number} player The worm's player
+     */
+    isCrash(worm, player = 0) {
+        if (worm.isSelfCollision() && !this.passes(player, 'self')) {
+            Logger.get('game').debug('Detected collision with self');
+            return true;
+        }
+        if (this.isOutside(worm.x, worm.y) || (this.isWall(worm.x, worm.y) && !this.passes(player, 'wall'))) {
+            Logger.get('game').debug('Detected collision with wall');
+            return true;
+        }
+        const occupants = this.grid.at(worm.x, worm.y);
+        for (let i = 0; i < occupants.length; i++) {
+            if (occupants[i] !== worm && occupants[i] instanceof Worm) {
+                Logger.get('game').debug('Detected collision with another worm');
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Turn a worm toward the given direction if it is allowed to
+     * @param {{x: number, y: number}} direction A Direction, or null
+     * @param {number} player Which worm to turn
+     * @returns true if the worm turned
+     */
+    turn(direction, player = 0) {
+        const worm = this.state.worms[player];
+        if (!worm || !worm.canTurn(direction)) {
+            return false;
+        }
+        Logger.get('game').trace('Turning worm', {player: player, direction: direction});
+        worm.direction = direction;
+        this.emit('turn', direction, player);
+        return true;
+    }
+
+    /**
+     * The cell one step from the given one in the given direction.  When the
+     * board wraps this is always a cell on the board.
+     * @param {number} player The player moving, whose effects may wrap the board for them
+     */
+    nextCell(cell, direction, player = null) {
+        let x = cell.x + direction.x;
+        let y = cell.y + direction.y;
+        if (this.options.wrap || (player !== null && this.passes(player, 'edge'))) {
+            x = (x + this.board.width) % this.board.width;
+            y = (y + this.board.height) % this.board.height;
+        }
+        return {x: x, y: y};
+    }
+
+    /**
+     * Whether the current level has a wall on the given cell
+     */
+    isWall(x, y) {
+        return this.state.level !== null && this.grid.has(x, y, this.state.level);
+    }
+
+    /**
+     * Whether the given cell is off the board
+     */
+    isOutside(x, y) {
+        return x < 0 || y < 0 || x >= this.board.width || y >= this.board.height;
+    }
+
+    /**
+     * A worm has eaten some food: score it and apply its effects
+     * @param {number} player The player whose worm ate it
+     * @param {Food} food The food, by default the apple
+     */
+    levelUp(player = 0, food = this.state.apple) {
+        const state = this.state;
+        const type = food.type;
+        Logger.get('game').info('Level Up!');
+        if (food === state.apple) {
+            this.placeApple();
+            this.spawnFood();
+        } else {
+            this.removeFood(food);
+        }
+        const points = this.scorePoints(player, type.points);
+        state.score += points;
+        state.scores[player] += points;
+        state.levelScore += type.points;
+        state.speedUps = Math.max(0, state.speedUps + type.speed);
+        state.fps = this.difficulty.fps(state.speedUps, this.options.speed);
+        const worm = state.worms[player];
+        if (type.grow > 0) {
+            worm.growth += type.grow;
+        } else if (type.grow < 0) {
+            this.shrink(worm, -type.grow);
+        }
+        if (type.powerUp) {
+            this.addEffect(player, PowerUp.Types[type.powerUp]);
+        }
+        Logger.get('game').debug('New Score: ' + state.score);
+        Logger.get('game').debug('New FPS: ' + state.fps);
+        this.emit('levelUp', player, food);
+        if (state.apple === null) {
+            // the worm fills the board, there is nowhere left to go
+            this.win();
+        } else {
+            Logger.get('game').debug('New Apple: (' + state.apple.x + ', ' + state.apple.y + ')');
+        }
+    }
+
+    /**
+     * The effects a player's worm has
+     * @returns {{type: Object, expires: number, stacks: number}[]}
+     */
+    effectsOf(player) {
+        const effects = this.state.effects[player] || {};
+        return Object.keys(effects).map(name => effects[name]);
+    }
+
+    /**
+     * Give a player's worm a power-up's effect, following its stacking rule
+     * if the worm already has it
+     * @param {Object} type One of PowerUp.Types
+     */
+    addEffect(player, type) {
+        const state = this.state;
+        const effects = state.effects[player];
+        const effect = effects[type.name];
+        if (!effect) {
+            effects[type.name] = {type: type, expires: state.frame + type.duration, stacks: 1};
+        } else if (type.stacking === 'extend') {
+            effect.expires += type.duration;
+        } else {
+            effect.expires = state.frame + type.duration;
+            if (type.stacking === 'stack') {
+                effect.stacks = Math.min(effect.stacks + 1, type.maxStacks);
+            }
+        }
+        Logger.get('game').debug(`Player ${player} has ${type.name} until frame ${effects[type.name].expires}`);
+        this.emit('powerUp', player, effects[type.name]);
+    }
+
+    /**
+     * Take away the effects whose time is up
+     */
+    expireEffects() {
+        const state = this.state;
+        for (let player = 0; player < state.effects.length; player++) {
+            const effects = this.effectsOf(player);
+            for (let i = 0; i < effects.length; i++) {
+                if (effects[i].expires <= state.frame) {
+                    delete state.effects[player][effects[i].type.name];
+                    this.emit('powerDown', player, effects[i].type);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether a player's effects let their worm go through something
+     * @param {string} kind 'self', 'wall' or 'edge'
+     */
+    passes(player, kind) {
+        return this.effectsOf(player).some(effect => effect.type.passes && effect.type.passes(kind));
+    }
+
+    /**
+     * The points a player scores for food worth the given points, after
+     * their effects and the difficulty's multiplier
+     */
+    scorePoints(player, points) {
+        return this.effectsOf(player).reduce((total, effect) =>
+            effect.type.score ? effect.type.score(total, effect.stacks) : total, points) * this.difficulty.multiplier;
+    }
+
+    /**
+     * The frames per second the game runs at: the state's fps, changed by
+     * any effect that changes it
+     */
+    speed() {
+        const state = this.state;
+        let fps = state.fps;
+        for (let player = 0; player < state.effects.length; player++) {
+            fps = this.effectsOf(player).reduce((total, effect) =>
+                effect.type.speed ? effect.type.speed(total) : total, fps);
+        }
+        return fps;
+    }
+
+    /**
+     * Move the apple one cell toward a player's worm, if the cell is free
+     */
+    pullApple(player) {
+        const apple = this.state.apple;
+        const head = this.state.worms[player].getHead();
+        if (!apple) {
+            return;
+        }
+        const dx = head.x - apple.x;
+        const dy = head.y - apple.y;
+        const x = apple.x + (Math.abs(dx) >= Math.abs(dy) ? Math.sign(dx) : 0);
+        const y = apple.y + (Math.abs(dx) >= Math.abs(dy) ? 0 : Math.sign(dy));
+        if (this.grid.isFree(x, y)) {
+            this.grid.remove(apple, apple.x, apple.y, apple.width, apple.height);
+            apple.x = x;
+            apple.y = y;
+            this.grid.add(apple, apple.x, apple.y, apple.width, apple.height);
+        }
+    }
+
+    /**
+     * Take segments off a worm's tail, never leaving it shorter than
+     * GameEngine.MinLength once it has finished moving
+     */
+    shrink(worm, segments) {
+        worm.growth = 0;
+        for (let i = 0; i < segments && worm.size() > GameEngine.MinLength + 1; i++) {
+            worm.removeTail();
+        }
+    }
+
+    /**
+     * The food on a cell, or null
+     */
+    foodAt(x, y) {
+        const occupants = this.grid.at(x, y);
+        for (let i = 0; i < occupants.length; i++) {
+            if (occupants[i] instanceof Food) {
+                return occupants[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Maybe bring out a kind of food other than the apple, if the food option
+     * is on and there is room for it
+     * @returns The new Food, or null
+     */
+    spawnFood() {
+        const state = this.state;
+        if (!this.options.food || state.foods.length >= Food.MaxExtra || this.random.next() >= Food.SpawnChance) {
+            return null;
+        }
+        const type = Food.randomType(this.random);
+        const free = this.grid.freeCells();
+        // leave the last free cells for the apple
+        if (!type || free.length <= 1) {
+            return null;
+        }
+        const cell = free[this.random.nextInt(free.length)];
+        const food = new Food(type, cell.x, cell.y, type.lifetime === null ? null : state.frame + type.lifetime);
+        Logger.get('game').debug(`New ${type.name}: (${food.x}, ${food.y})`);
+        state.foods.push(food);
+        this.grid.add(food, food.x, food.y, food.width, food.height);
+        return food;
+    }
+
+    removeFood(food) {
+        const foods = this.state.foods;
+        const index = foods.indexOf(food);
+        if (index >= 0) {
+            foods.splice(index, 1);
+            this.grid.remove(food, food.x, food.y, food.width, food.height);
+        }
+    }
+
+    /**
+     * Take away the food whose time is up
+     */
+    expireFood() {
+        const state = this.state;
+        const expired = state.foods.filter(food => food.expires !== null && food.expires <= state.frame);
+        for (let i = 0; i < expired.length; i++) {
+            Logger.get('game').debug(`The ${expired[i].type.name} at (${expired[i].x}, ${expired[i].y}) has gone`);
+            this.removeFood(expired[i]);
+        }
+    }
+
+    isLevelComplete() {
+        const level = this.state.level;
+        return level !== null && level.target > 0 && this.state.levelScore >= level.target;
+    }
+
+    /**
+     * Move on to the level after the current one, or win if it was the last
+     */
+    completeLevel() {
+        const completed = this.state.level;
+        Logger.get('game').info('Completed level ' + completed.name);
+        const next = Level.after(completed);
+        if (next === null) {
+            this.emit('levelComplete', completed);
+            this.win();
+            return;
+        }
+        this.startLevel(next);
+        this.emit('levelComplete', completed);
+    }
+
+    /**
+     * Check that a game can be started with the given options, e.g. before
+     * changing to them
+     * @param {Object} options See the constructor
+     * @returns {{level: Level, difficulty: Difficulty, layout: Object}} The
+     *     level, difficulty and layout (see layOut()) the game would start with
+     * @throws If it can't, saying why
+     */
+    check(options) {
+        const level = options.level ? Level.find(options.level) : null;
+        if (options.level && !level) {
+            throw new Error('Unknown level: ' + options.level);
+        }
+        const difficulty = Difficulty.find(options.difficulty);
+        if (!difficulty) {
+            throw new Error('Unknown difficulty: ' + options.difficulty);
+        }
+        if (options.players < 1 || options.players > GameEngine.MaxPlayers) {
+            throw new Error('Unsupported number of players: ' + options.players);
+        }
+        return {level: level, difficulty: difficulty, layout: this.layOut(level, options.players)};
+    }
+
+    /**
+     * Set up the board, worms and apple for a level.  Nothing changes if the
+     * level can't be laid out.
+     * @param {Level} level The level, or null for an open board
+     * @param {Object} state The game state to start it in, the current one by default
+     * @param {{board: Object, grid: OccupancyGrid, worms: Worm[]}} layout See layOut()
+     */
+    startLevel(level, state = this.state, layout = this.layOut(level)) {
+        Logger.get('game').debug('Starting level ' + (level ? level.name : '(open board)'));
+        this.state = state;
+        this.board = layout.board;
+        this.grid = layout.grid;
+        state.level = level;
+        state.levelScore = 0;
+        state.apple = null;
+        state.foods = [];
+        state.worm = layout.worms[0];
+        state.worms = layout.worms;
+        state.effects = state.worms.map(() => ({}));
+        this.placeApple();
+    }
+
+    /**
+     * Build the board, its grid and the worms for a level, without touching
+     * the current game
+     * @param {Level} level The level, or null for an open board
+     * @param {number} players How many worms
+     * @throws If there is no room for every worm
+     */
+    layOut(level, players = this.options.players) {
+        let board = this.openBoard;
+        if (level) {
+            board = {
+                width: level.width,
+                height: level.height
+            };
+        }
+        const grid = new OccupancyGrid(board.width, board.height);
+        let worm;
+        if (level) {
+            for (let i = 0; i < level.walls.length; i++) {
+                grid.add(level, level.walls[i].x, level.walls[i].y);
+            }
+            worm = new Worm(level.startParts(), level.direction, grid);
+        } else {
+            worm = this.newWorm(10, 10, grid);
+        }
+        const worms = [worm];
+        if (players > 1) {
+            worms.push(this.mirrorWorm(worm, board, grid, level));
+        }
+        return {board: board, grid: grid, worms: worms};
+    }
+
+    /**
+     * Start a second worm on the opposite side of the board from the first,
+     * heading the other way
+     * @param {Level} level The level being laid out, for the error message
+     */
+    mirrorWorm(worm, board, grid, level) {
+        const parts = worm.parts.map(part => ({x: board.width - 1 - part.x, y: board.height - 1 - part.y}));
+        for (let i = 0; i < parts.length; i++) {
+            if (!grid.isFree(parts[i].x, parts[i].y)) {
+                const name = level ? level.name : 'The board';
+                throw new Error(name + ' has no room for a second worm');
+            }
+        }
+        return new Worm(parts, GameEngine.opposite(worm.direction), grid);
+    }
+
+    /**
+     * The player with the most points out of the given worms' players
+     * @param {Worm[]} worms
+     * @returns The player's index, or null on a tie or in a one player game
+     */
+    leader(worms) {
+        const state = this.state;
+        if (state.worms.length < 2) {
+            return null;
+        }
+        let leader = null;
+        let best = -1;
+        for (let i = 0; i < worms.length; i++) {
+            const player = state.worms.indexOf(worms[i]);
+            if (state.scores[player] > best) {
+                leader = player;
+                best = state.scores[player];
+            } else if (state.scores[player] === best) {
+                leader = null;
+            }
+        }
+        return leader;
+    }
+
+    win() {
+        Logger.get('game').info('You Win!');
+        this.state.winner = this.leader(this.state.worms);
+        this.setGameState(GameEngine.GameState.WON);
+        this.emit('win');
+    }
+
+    /**
+     * @param {Worm[]} crashed The worms that crashed.  With two players the
+     *     one that didn't is the winner.
+     */
+    gameOver(crashed = [this.state.worm]) {
+        Logger.get('game').info("Game Over!");
+        const survivors = this.state.worms.filter(worm => crashed.indexOf(worm) < 0);
+        this.state.winner = this.leader(survivors);
+        this.setGameState(GameEngine.GameState.GAMEOVER);
+        this.emit('gameOver');
+    }
+
+    /**
+     * Start a new game
+     * @param {number} seed The seed for the new game.  By default it is taken
+     *     from the previous game's sequence, so a run of games is reproducible too.
+     */
+    reset(seed = this.random.nextSeed()) {
+        Logger.get('game').info('Resetting Game', {seed: seed});
+        // checked first, so options that can't be played leave the game as it was
+        const setup = this.check(this.options);
+        const difficulty = setup.difficulty;
+        this.random.reseed(seed);
+        const state = {
+            gameState: this.state ? this.state.gameState : GameEngine.GameState.PAUSED,
+            seed: this.random.seed,
+            frame: 0,
+            time: 0,
+            score: 0,
+            scores: new Array(this.options.players).fill(0),
+            winner: null,
+            difficulty: difficulty,
+            speedUps: 0,
+            fps: difficulty.fps(0, this.options.speed),
+            level: null,
+            levelScore: 0,
+            worm: null,
+            worms: [],
+            apple: null,
+            foods: [],
+            effects: []
+        };
+        this.startLevel(setup.level, state, setup.layout);
+        Logger.get('game').trace('New Score: ' + this.state.score);
+        Logger.get('game').trace('New FPS: ' + this.state.fps);
+        this.emit('reset');
+        return this.state;
+    }
+
+    pause() {
+        Logger.get('game').info('Pausing Game');
+        this.setGameState(GameEngine.GameState.PAUSED);
+    }
+
+    resume() {
+        Logger.get('game').info('Resuming Game');
+        this.setGameState(GameEngine.GameState.PLAYING);
+    }
+
+    setGameState(gameState) {
+        if (this.state.gameState !== gameState) {
+            this.state.gameState = gameState;
+            this.emit('stateChange', gameState);
+        }
+    }
+
+    /**
+     * The Difficulty of the current game
+     */
+    get difficulty() {
+        return this.state.difficulty;
+    }
+
+    /**
+     * Everything on the given cell: the worms, the food, the level for a wall
+     */
+    occupantsAt(x, y) {
+        return this.grid.at(x, y);
+    }
+
+    /**
+     * Replace the apple with one on a random free cell.  The apple is null if
+     * the board is full.
+     */
+    placeApple() {
+        const state = this.state;
+        if (state.apple) {
+            this.grid.remove(state.apple, state.apple.x, state.apple.y, state.apple.width, state.apple.height);
+        }
+        state.apple = this.randomApple();
+        if (state.apple) {
+            this.grid.add(state.apple, state.apple.x, state.apple.y, state.apple.width, state.apple.height);
+        }
+        return state.apple;
+    }
+
+    /**
+     * Pick a random free cell for an apple.  The board is full when every cell
+     * of the grid is taken by the worm, a wall or anything else.
+     * @returns The new Apple, or null if the board is full
+     */
+    randomApple() {
+        Logger.get('game').trace('Creating a new random apple');
+        if (this.grid.isFull()) {
+            Logger.get('game').debug('No free cells left for an apple');
+            return null;
+        }
+        const free = this.grid.freeCells();
+        const cell = free[this.random.nextInt(free.length)];
+        Logger.get('game').trace('New apple position: (' + cell.x + ', ' + cell.y + ')')
+        return new Apple(cell.x, cell.y);
+    }
+
+    newWorm(x, y, grid = this.grid) {
+        Logger.get('game').trace('Creating a new worm');
+        let parts = [
+            {x: x - 2, y: y}, // tail
+            {x: x - 1, y: y},
+            {x: x, y: y}, // head
+        ];
+        return new Worm(parts, Direction.RIGHT, grid);
+    }
+}
+
+/**
+ * The direction opposite to the given one
+ */
+GameEngine.opposite = function (direction) {
+    const names = Object.keys(Direction);
+    for (let i = 0; i < names.length; i++) {
+        if (Direction[names[i]].x === -direction.x && Direction[names[i]].y === -direction.y) {
+            return Direction[names[i]];
+        }
+    }
+    return Direction.NONE;
+}
+
+GameEngine.MaxPlayers = 2;
+
+/** The shortest food can shrink a worm */
+GameEngine.MinLength = 3;
+
+GameEngine.GameState = {
+    PLAYING: 0,
+    PAUSED: 1,
+    GAMEOVER: 2,
+    WON: 3
+}
@@ -0,0 +1,99 @@
+/**
+ * Everything a worm can eat.  Each kind of food is a type in Food.Types that
+ * says what eating it does, how it looks and sounds, how long it stays on the
+ * board and how often it turns up.  There is always an apple on the board;
+ * when the engine's food option is on, eating it sometimes brings out one of
+ * the other kinds as well (see GameEngine.spawnFood()).
+ *
+ * A food type has:
+ *
+ *     name       its key in Food.Types
+ *     points     added to the score
+ *     grow       segments the worm grows by, or loses when negative
+ *     speed      speed-ups: steps along the difficulty's speed curve, negative
+ *                slows the game down (see Difficulty)
+ *     lifetime   frames before it disappears, or null to stay until eaten
+ *     weight     how likely it is to be picked when food appears, 0 for never
+ *     color      the colour it is painted
+ *     sound      the GameSounds method played when it is eaten
+ *     countdown  whether the time it has left is shown
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class Food {
+    /**
+     * @param {Object} type One of Food.Types
+     * @param {number} expires The frame the food disappears on, or null
+     */
+    constructor(type, x = 0, y = 0, expires = null) {
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.width = 1;
+        this.height = 1;
+        this.expires = expires;
+    }
+
+    /**
+     * @param {number} frame The current engine frame
+     * @returns The frames left before the food disappears, or null if it stays
+     */
+    remaining(frame) {
+        return this.expires === null ? null : Math.max(0, this.expires - frame);
+    }
+
+    /**
+     * Add a type of food, or replace the one with the same name
+     */
+    static register(type) {
+        Food.Types[type.name] = type;
+        return type;
+    }
+
+    /**
+     * Pick a type of food at random, by weight
+     * @param {SeededRandom} random
+     * @returns A food type, or null if none have any weight
+     */
+    static randomType(random) {
+        const types = Object.keys(Food.Types).map(name => Food.Types[name]).filter(type => type.weight > 0);
+        const total = types.reduce((sum, type) => sum + type.weight, 0);
+        if (total === 0) {
+            return null;
+        }
+        let pick = random.next() * total;
+        for (let i = 0; i < types.length; i++) {
+            pick -= types[i].weight;
+            if (pick < 0) {
+                return types[i];
+            }
+        }
+        return types[types.length - 1];
+    }
+}
+
+Food.Types = {};
+
+/** The chance that eating an apple brings out another kind of food */
+Food.SpawnChance = 0.25;
+
+/** The most food other than the apple on the board at once */
+Food.MaxExtra = 3;
+
+Food.register({name: 'apple', points: 1, grow: 1, speed: 1, lifetime: null, weight: 0,
+    color: '#ff6666', sound: 'levelUp', countdown: false});
+Food.register({name: 'bonus', points: 3, grow: 1, speed: 1, lifetime: 60, weight: 6,
+    color: '#66ff66', sound: 'bonus', countdown: false});
+Food.register({name: 'shrink', points: 1, grow: -3, speed: 0, lifetime: 120, weight: 3,
+    color: '#66ccff', sound: 'shrink', countdown: false});
+Food.register({name: 'slow', points: 1, grow: 1, speed: -4, lifetime: 120, weight: 3,
+    color: '#ffffff', sound: 'slow', countdown: false});
+Food.register({name: 'golden', points: 10, grow: 1, speed: 1, lifetime: 80, weight: 1,
+    color: '#ffcc00', sound: 'golden', countdown: true});
+
+/** The apple, which is always somewhere on the board */
+class Apple extends Food {
+    constructor(x = 0, y = 0) {
+        super(Food.Types.apple, x, y);
+    }
+}
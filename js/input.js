@@ -0,0 +1,278 @@
+/**
+ * Input devices other than the keyboard.  Each one turns what the player does
+ * into calls on a WormJS game, so every device feeds the same movement queue.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+
+/**
+ * Touch controls for a canvas: swipe to turn the worm, tap to pause/resume or
+ * to use the settings bar.  A swipe turns the worm as soon as the finger has
+ * moved far enough, and the finger can keep moving to make more turns without
+ * being lifted.
+ */
+class TouchControls {
+    /**
+     * @param {WormJS} game The game to control
+     * @param {*} element The canvas the game is painted on
+     * @param {{swipeDistance: number, tapDistance: number, tapTime: number}} options
+     *     distances are in canvas pixels, times in milliseconds
+     */
+    constructor(game, element, options = {}) {
+        this.game = game;
+        this.element = element;
+        this.options = Object.assign({}, TouchControls.Defaults, options);
+        this.touch = null;
+        const self = this;
+        this.listeners = {
+            touchstart: function (event) {
+                self.onTouchStart(event);
+            },
+            touchmove: function (event) {
+                self.onTouchMove(event);
+            },
+            touchend: function (event) {
+                self.onTouchEnd(event);
+            },
+            touchcancel: function (event) {
+                self.touch = null;
+            }
+        };
+    }
+
+    attach() {
+        for (let type in this.listeners) {
+            this.element.addEventListener(type, this.listeners[type], {passive: false});
+        }
+    }
+
+    detach() {
+        for (let type in this.listeners) {
+            this.element.removeEventListener(type, this.listeners[type]);
+        }
+    }
+
+    /**
+     * Convert a touch's page position to canvas pixels
+     */
+    toCanvas(touch) {
+        const rect = this.element.getBoundingClientRect();
+        return {
+            x: (touch.clientX - rect.left) * this.element.width / rect.width,
+            y: (touch.clientY - rect.top) * this.element.height / rect.height
+        };
+    }
+
+    onTouchStart(event) {
+        event.preventDefault();
+        if (this.touch || event.changedTouches.length === 0) {
+            return;
+        }
+        const touch = event.changedTouches[0];
+        const point = this.toCanvas(touch);
+        this.touch = {
+            id: touch.identifier,
+            start: point,
+            anchor: point,
+            time: Date.now(),
+            swiped: false
+        };
+    }
+
+    onTouchMove(event) {
+        event.preventDefault();
+        const touch = this.findTouch(event);
+        if (!touch) {
+            return;
+        }
+        const point = this.toCanvas(touch);
+        const direction = TouchControls.swipeDirection(this.touch.anchor, point, this.options.swipeDistance);
+        if (direction) {
+            Logger.get('input').debug('Swipe ' + JSON.stringify(direction));
+            this.touch.anchor = point;
+            this.touch.swiped = true;
+            this.game.swipe(direction);
+        }
+    }
+
+    onTouchEnd(event) {
+        event.preventDefault();
+        const touch = this.findTouch(event);
+        if (!touch) {
+            return;
+        }
+        const point = this.toCanvas(touch);
+        const started = this.touch;
+        this.touch = null;
+        if (started.swiped) {
+            return;
+        }
+        const distance = Math.abs(point.x - started.start.x) + Math.abs(point.y - started.start.y);
+        if (distance <= this.options.tapDistance && Date.now() - started.time <= this.options.tapTime) {
+            this.game.tap(point.x, point.y);
+        }
+    }
+
+    /**
+     * The changed touch that belongs to the gesture being tracked, if any
+     */
+    findTouch(event) {
+        if (!this.touch) {
+            return null;
+        }
+        for (let i = 0; i < event.changedTouches.length; i++) {
+            if (event.changedTouches[i].identifier === this.touch.id) {
+                return event.changedTouches[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The direction of a swipe from one point to another, along whichever axis
+     * it moved furthest
+     * @returns A Direction, or null if it hasn't moved far enough to be a swipe
+     */
+    static swipeDirection(from, to, minDistance) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < minDistance) {
+            return null;
+        }
+        if (Math.abs(dx) > Math.abs(dy)) {
+            return dx > 0 ? Direction.RIGHT : Direction.LEFT;
+        }
+        return dy > 0 ? Direction.DOWN : Direction.UP;
+    }
+}
+
+TouchControls.Defaults = {
+    swipeDistance: 20,
+    tapDistance: 10,
+    tapTime: 300
+};
+
+/**
+ * Gamepad controls, read through the browser Gamepad API.  poll() needs to be
+ * called regularly (WormJS does it every animation frame).  The D-pad and the
+ * left analog stick turn the worm; the stick has to be pushed past the
+ * deadzone, and when it points diagonally the axis pushed furthest wins.
+ * Buttons are mapped to game actions (see WormJS.perform()).  Turns and
+ * button actions happen once when pressed, not again while held.
+ */
+class GamepadControls {
+    /**
+     * @param {WormJS} game The game to control
+     * @param {{deadzone: number, buttons: Object<number, string>}} options deadzone is
+     *     how far (0 to 1) the stick must move, buttons maps standard button indexes to actions
+     */
+    constructor(game, options = {}) {
+        this.game = game;
+        this.options = Object.assign({}, GamepadControls.Defaults, options);
+        // what each pad was doing at the last poll, by pad index
+        this.last = {};
+    }
+
+    /**
+     * @returns The gamepads currently connected
+     */
+    connected() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return [];
+        }
+        const pads = navigator.getGamepads();
+        const connected = [];
+        for (let i = 0; i < pads.length; i++) {
+            if (pads[i] && pads[i].connected) {
+                connected.push(pads[i]);
+            }
+        }
+        return connected;
+    }
+
+    /**
+     * Read every connected gamepad and act on what has changed
+     */
+    poll() {
+        const pads = this.connected();
+        for (let i = 0; i < pads.length; i++) {
+            const pad = pads[i];
+            const last = this.last[pad.index] || {direction: null, buttons: []};
+            const direction = this.direction(pad);
+            if (direction && direction !== last.direction) {
+                Logger.get('input').debug(`Gamepad ${pad.index} direction ${JSON.stringify(direction)}`);
+                this.game.perform(GamepadControls.DirectionActions.get(direction));
+            }
+            const buttons = [];
+            for (let b = 0; b < pad.buttons.length; b++) {
+                buttons[b] = pad.buttons[b].pressed;
+                const action = this.options.buttons[b];
+                if (action && buttons[b] && !last.buttons[b]) {
+                    Logger.get('input').debug('Gamepad button', {gamepad: pad.index, button: b, action: action});
+                    this.game.perform(action);
+                }
+            }
+            this.last[pad.index] = {direction: direction, buttons: buttons};
+        }
+    }
+
+    /**
+     * The direction a gamepad is pointing, from the D-pad or else the left stick
+     * @returns A Direction, or null if it isn't pointing anywhere
+     */
+    direction(pad) {
+        const dpad = GamepadControls.DPad;
+        for (let i = 0; i < dpad.length; i++) {
+            const button = pad.buttons[dpad[i].button];
+            if (button && button.pressed) {
+                return dpad[i].direction;
+            }
+        }
+        if (pad.axes.length < 2) {
+            return null;
+        }
+        return GamepadControls.stickDirection(pad.axes[0], pad.axes[1], this.options.deadzone);
+    }
+
+    /**
+     * The direction an analog stick is pointing
+     * @param {number} x The horizontal axis, -1 (left) to 1 (right)
+     * @param {number} y The vertical axis, -1 (up) to 1 (down)
+     * @param {number} deadzone How far the stick must be pushed to count
+     * @returns A Direction, or null if the stick is inside the deadzone
+     */
+    static stickDirection(x, y, deadzone) {
+        if (Math.max(Math.abs(x), Math.abs(y)) < deadzone) {
+            return null;
+        }
+        if (Math.abs(x) > Math.abs(y)) {
+            return x > 0 ? Direction.RIGHT : Direction.LEFT;
+        }
+        return y > 0 ? Direction.DOWN : Direction.UP;
+    }
+}
+
+GamepadControls.Defaults = {
+    deadzone: 0.5,
+    buttons: {
+        0: 'pause', // A
+        9: 'pause', // Start
+        8: 'mute', // Back/Select
+        3: 'debug' // Y
+    }
+};
+
+/** The D-pad buttons in the standard gamepad mapping */
+GamepadControls.DPad = [
+    {button: 12, direction: Direction.UP},
+    {button: 13, direction: Direction.DOWN},
+    {button: 14, direction: Direction.LEFT},
+    {button: 15, direction: Direction.RIGHT}
+];
+
+GamepadControls.DirectionActions = new Map([
+    [Direction.UP, 'up'],
+    [Direction.DOWN, 'down'],
+    [Direction.LEFT, 'left'],
+    [Direction.RIGHT, 'right']
+]);
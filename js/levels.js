@@ -0,0 +1,324 @@
+/**
+ * Levels: boards with walls, a starting position for the worm and a target
+ * score that moves the game on to the next level.  Levels are written as text,
+ * a few "key: value" header lines followed by a grid with one character per cell:
+ *
+ *     name: Box
+ *     target: 10
+ *     #########
+ *     #.......#
+ *     #..S....#
+ *     #########
+ *
+ *     #               a wall
+ *     . or space      an empty cell
+ *     S               the worm's head at the start, facing the header's direction (default right)
+ *     > < ^ v         the worm's head at the start, facing that way
+ *
+ * The worm starts with its body trailing behind its head, so the two cells
+ * behind the start need to be empty.  Headers:
+ *
+ *     name            what the level is called (required)
+ *     target          the score needed in this level to move on, 0 or none to play forever
+ *     direction       up, down, left or right, for an 'S' start
+ *     next            the name of the level that follows; built-in levels follow each other in order
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class Level {
+    /**
+     * Use Level.parse() to build a level from text
+     */
+    constructor(name, width, height, walls, start, direction, target = 0, next = null) {
+        this.name = name;
+        this.width = width;
+        this.height = height;
+        this.walls = walls;
+        this.start = start;
+        this.direction = direction;
+        this.target = target;
+        this.next = next;
+        this.wallCells = new Set();
+        for (let i = 0; i < walls.length; i++) {
+            this.wallCells.add(walls[i].y * width + walls[i].x);
+        }
+    }
+
+    /**
+     * Whether there is a wall on the given cell
+     */
+    isWall(x, y) {
+        return this.wallCells.has(y * this.width + x);
+    }
+
+    /**
+     * The cells the worm starts on, tail first
+     * @returns {{x: number, y: number}[]}
+     */
+    startParts() {
+        const parts = [];
+        for (let i = Level.StartLength - 1; i >= 0; i--) {
+            parts.push({
+                x: this.start.x - this.direction.x * i,
+                y: this.start.y - this.direction.y * i
+            });
+        }
+        return parts;
+    }
+
+    /**
+     * Read a level from its text form
+     * @param {string} text
+     * @returns {Level}
+     */
+    static parse(text) {
+        const lines = text.replace(/\r/g, '').split('\n');
+        const headers = {};
+        let row = 0;
+        // skip leading blank lines and read the headers
+        while (row < lines.length && (lines[row].trim() === '' || Level.HeaderPattern.test(lines[row]))) {
+            const header = Level.HeaderPattern.exec(lines[row]);
+            if (header) {
+                headers[header[1].toLowerCase()] = header[2].trim();
+            }
+            row++;
+        }
+        const grid = lines.slice(row);
+        while (grid.length > 0 && grid[grid.length - 1].trim() === '') {
+            grid.pop();
+        }
+        if (!headers.name) {
+            throw new Error('A level needs a name header');
+        }
+        if (grid.length === 0) {
+            throw new Error(`Level ${headers.name} has no grid`);
+        }
+
+        const width = Math.max(...grid.map(line => line.length));
+        const height = grid.length;
+        const walls = [];
+        let start = null;
+        let direction = Level.Directions[(headers.direction || 'right').toLowerCase()];
+        if (!direction) {
+            throw new Error(`Level ${headers.name} has an unknown direction: ${headers.direction}`);
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < grid[y].length; x++) {
+                const cell = grid[y][x];
+                if (cell === '#') {
+                    walls.push({x: x, y: y});
+                } else if (cell === 'S' || Level.StartCells[cell]) {
+                    if (start) {
+                        throw new Error(`Level ${headers.name} has more than one start, at line ${row + y + 1}`);
+                    }
+                    start = {x: x, y: y};
+                    if (cell !== 'S') {
+                        direction = Level.StartCells[cell];
+                    }
+                } else if (cell !== '.' && cell !== ' ') {
+                    throw new Error(`Level ${headers.name} has an unknown cell '${cell}' at line ${row + y + 1}`);
+                }
+            }
+        }
+        if (!start) {
+            throw new Error(`Level ${headers.name} has no start`);
+        }
+
+        const target = headers.target ? parseInt(headers.target, 10) : 0;
+        if (isNaN(target) || target < 0) {
+            throw new Error(`Level ${headers.name} has an invalid target: ${headers.target}`);
+        }
+        const level = new Level(headers.name, width, height, walls, start, direction, target, headers.next || null);
+        const parts = level.startParts();
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            if (part.x < 0 || part.y < 0 || part.x >= width || part.y >= height || level.isWall(part.x, part.y)) {
+                throw new Error(`Level ${headers.name} has no room for the worm behind its start`);
+            }
+        }
+        return level;
+    }
+
+    /**
+     * Make a level available by name, replacing any level with the same name
+     * @param {Level} level
+     */
+    static add(level) {
+        Level.Registry[level.name] = level;
+        return level;
+    }
+
+    /**
+     * @param {string} name
+     * @returns The level with that name, or null
+     */
+    static find(name) {
+        return Level.Registry[name] || null;
+    }
+
+    /**
+     * @param {Level} level
+     * @returns The level that follows the given one, or null if it is the last
+     */
+    static after(level) {
+        if (level.next) {
+            return Level.find(level.next);
+        }
+        const index = Level.BuiltIn.indexOf(level);
+        return index >= 0 && index + 1 < Level.BuiltIn.length ? Level.BuiltIn[index + 1] : null;
+    }
+}
+
+Level.StartLength = 3;
+
+Level.HeaderPattern = /^\s*([A-Za-z]+)\s*:(.*)$/;
+
+Level.Directions = {
+    up: Direction.UP,
+    down: Direction.DOWN,
+    left: Direction.LEFT,
+    right: Direction.RIGHT
+}
+
+Level.StartCells = {
+    '^': Direction.UP,
+    'v': Direction.DOWN,
+    '<': Direction.LEFT,
+    '>': Direction.RIGHT
+}
+
+Level.Registry = {};
+
+/** The levels that ship with the game, played in this order */
+Level.BuiltIn = [
+    Level.parse(`
+name: Box
+target: 10
+########################################
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#.........>............................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+########################################
+`),
+    Level.parse(`
+name: Pillars
+target: 15
+########################################
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#........###................###........#
+#........###................###........#
+#........###................###........#
+#......................................#
+#......................................#
+#......................................#
+#..................##..................#
+#..................##..................#
+#.....>............##..................#
+#..................##..................#
+#......................................#
+#......................................#
+#......................................#
+#........###................###........#
+#........###................###........#
+#........###................###........#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+########################################
+`),
+    Level.parse(`
+name: Tunnels
+target: 20
+########################################
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#.....############################.....#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+########........................########
+########............>...........########
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#.....############################.....#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+########################################
+`),
+    Level.parse(`
+name: Rooms
+target: 25
+########################################
+#..................#...................#
+#..................#...................#
+#..................#...................#
+#..................#...................#
+#.......#..........#...................#
+#.......#..........#...................#
+#.......#..........#...................#
+#.......#..........#...................#
+#.......#..........#...................#
+#......................................#
+#......................................#
+#......................................#
+#################......#################
+#......................................#
+#......................................#
+#......................................#
+#......................................#
+#..................#...........#.......#
+#..................#...........#.......#
+#.........>........#...........#.......#
+#..................#...........#.......#
+#..................#...........#.......#
+#..................#...................#
+#..................#...................#
+#..................#...................#
+#..................#...................#
+########################################
+`)
+];
+
+Level.BuiltIn.forEach(level => Level.add(level));
@@ -0,0 +1,341 @@
+/**
+ * An implementation of a Logger.  Each message is made into a record, with
+ * the time, the game frame, its level, the namespace of the logger and any
+ * context given with it, and handed to the sinks if the logging level is set
+ * at least as high as the type of message being logged.
+ *
+ * Parts of the game log to their own namespace (e.g. 'game', 'input',
+ * 'audio', 'render'), using a child of the global logger from Logger.get().
+ * Each namespace can have its own level:
+ *
+ *     Logger.GlobalLogger.setLevel('audio', Logger.LogLevel.TRACE);
+ *
+ * A namespace without a level of its own takes the level of the one it is
+ * in ('audio.mixer' takes 'audio''s), and in the end the global level.
+ *
+ * Copyright 2018 Ben Ingle
+*/
+class Logger {
+    /**
+     * Construct a new logger with the given level
+     * @param {{id: number, prefix: string}} level
+     * @param {Object[]} sinks Where the records go, each with a write(record)
+     *     method.  Defaults to the console and Logger.Recent.
+     */
+    constructor(level = Logger.LogLevel.INFO, sinks = null) {
+        this.level = level;
+        this.sinks = sinks || [new ConsoleSink(), Logger.Recent];
+        this.namespace = '';
+        /** Added to every record this logger makes */
+        this.context = {};
+        /** The logger this one is a child of, or itself */
+        this.root = this;
+        /** The level of each namespace that has its own */
+        this.levels = {};
+        /** The children made by get(), by namespace */
+        this.children = {};
+        /** The game frame being run, added to every record */
+        this.frame = null;
+    }
+
+    /**
+     * A logger for part of this one's namespace.  It shares this one's sinks
+     * and levels.
+     * @param {string} namespace e.g. 'audio', inside this one's namespace
+     * @param {Object} context Added to every record the child makes
+     * @returns {Logger}
+     */
+    child(namespace, context = {}) {
+        const child = new Logger(null, this.root.sinks);
+        child.root = this.root;
+        child.namespace = this.namespace ? this.namespace + '.' + namespace : namespace;
+        child.context = Object.assign({}, this.context, context);
+        return child;
+    }
+
+    /**
+     * Set the level of a namespace and the ones in it
+     * @param {string} namespace
+     * @param {{id: number, prefix: string}} level null to go back to the
+     *     level of the namespace it is in
+     */
+    setLevel(namespace, level) {
+        if (level) {
+            this.root.levels[namespace] = level;
+        } else {
+            delete this.root.levels[namespace];
+        }
+    }
+
+    /**
+     * The level messages must be at to be logged here
+     */
+    effectiveLevel() {
+        if (this.level) {
+            return this.level;
+        }
+        const levels = this.root.levels;
+        let namespace = this.namespace;
+        while (namespace) {
+            if (levels[namespace]) {
+                return levels[namespace];
+            }
+            namespace = namespace.slice(0, Math.max(0, namespace.lastIndexOf('.')));
+        }
+        return this.root.level;
+    }
+
+    addSink(sink) {
+        this.root.sinks.push(sink);
+    }
+
+    removeSink(sink) {
+        const sinks = this.root.sinks;
+        if (sinks.indexOf(sink) >= 0) {
+            sinks.splice(sinks.indexOf(sink), 1);
+        }
+    }
+
+    /**
+     * Log a message
+     * @param {string} message
+     * @param {{id: number, prefix: string}} level
+     * @param {Object} context Details to go with the message, e.g. {key: 'KeyS'}
+     */
+    log(message, level = Logger.LogLevel.INFO, context = null) {
+        if (level.id < this.effectiveLevel().id) {
+            return;
+        }
+        const record = {
+            time: Logger.now(),
+            frame: this.root.frame,
+            level: level,
+            namespace: this.namespace,
+            message: message,
+            context: context ? Object.assign({}, this.context, context) : this.context
+        };
+        const sinks = this.root.sinks;
+        for (let i = 0; i < sinks.length; i++) {
+            sinks[i].write(record);
+        }
+    }
+
+    trace(message, context = null) {
+        this.log(message, Logger.LogLevel.TRACE, context);
+    }
+
+    debug(message, context = null) {
+        this.log(message, Logger.LogLevel.DEBUG, context);
+    }
+
+    info(message, context = null) {
+        this.log(message, Logger.LogLevel.INFO, context);
+    }
+
+    warn(message, context = null) {
+        this.log(message, Logger.LogLevel.WARN, context);
+    }
+
+    error(message, context = null) {
+        this.log(message, Logger.LogLevel.ERROR, context);
+    }
+
+    /**
+     * The global logger's child for a namespace, made the first time it is
+     * asked for
+     * @param {string} namespace
+     * @returns {Logger}
+     */
+    static get(namespace) {
+        const root = Logger.GlobalLogger;
+        if (!root.children[namespace]) {
+            root.children[namespace] = root.child(namespace);
+        }
+        return root.children[namespace];
+    }
+
+    /**
+     * A record as one line of text, e.g.
+     *
+     *     12:04:31.250 #310 DEBUG [input]: Handling key press {"code":"KeyS"}
+     */
+    static format(record) {
+        const time = new Date(record.time);
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        let text = `${pad(time.getHours())}:${pad(time.getMinutes())}:${pad(time.getSeconds())}.${pad(time.getMilliseconds(), 3)} `;
+        if (record.frame !== null) {
+            text += `#${record.frame} `;
+        }
+        text += record.level.prefix;
+        if (record.namespace) {
+            text += ` [${record.namespace}]`;
+        }
+        text += ': ' + record.message;
+        if (Object.keys(record.context).length > 0) {
+            try {
+                text += ' ' + JSON.stringify(record.context);
+            } catch (e) {
+                text += ' ' + String(record.context);
+            }
+        }
+        return text;
+    }
+}
+
+/** The time for a record, in milliseconds since 1970 */
+Logger.now = function () {
+    return Date.now();
+}
+
+Logger.LogLevel = {
+    TRACE: {id: 0, prefix: 'TRACE'},
+    DEBUG: {id: 1, prefix: 'DEBUG'},
+    INFO: {id: 2, prefix: 'INFO'},
+    WARN: {id: 3, prefix: 'WARN'},
+    ERROR: {id: 4, prefix: 'ERROR'}
+}
+
+/** Writes each record to the console as a line of text */
+class ConsoleSink {
+    write(record) {
+        console.log(Logger.format(record));
+    }
+}
+
+/** Keeps the latest records, e.g. for the log console in debug mode */
+class RingBufferSink {
+    /**
+     * @param {number} size The most records to keep
+     */
+    constructor(size = RingBufferSink.Size) {
+        this.size = size;
+        this.records = [];
+    }
+
+    write(record) {
+        this.records.push(record);
+        if (this.records.length > this.size) {
+            this.records.shift();
+        }
+    }
+
+    /**
+     * The latest records as text, oldest first
+     * @param {number} count The most lines to give
+     */
+    lines(count = this.size) {
+        return this.records.slice(-count).map(Logger.format);
+    }
+
+    clear() {
+        this.records = [];
+    }
+}
+
+RingBufferSink.Size = 200;
+
+/**
+ * Sends records to a server in batches.  Only records at its level or above
+ * are sent, warnings and errors unless it is told otherwise.
+ */
+class RemoteSink {
+    /**
+     * @param {string} endpoint The URL to send them to
+     * @param {{level: Object, batchSize: number, send: function}} options
+     *     send(endpoint, records) sends a batch and returns a Promise, it
+     *     defaults to RemoteSink.post()
+     */
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.level = options.level || Logger.LogLevel.WARN;
+        this.batchSize = options.batchSize || RemoteSink.BatchSize;
+        this.send = options.send || RemoteSink.post;
+        this.queue = [];
+        /** The number of records that could not be sent */
+        this.dropped = 0;
+    }
+
+    write(record) {
+        if (record.level.id < this.level.id) {
+            return;
+        }
+        this.queue.push(record);
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Send the records waiting to go.  Failures are counted rather than
+     * logged, which would only queue more records to send.
+     * @returns {Promise}
+     */
+    flush() {
+        if (this.queue.length === 0) {
+            return Promise.resolve();
+        }
+        const batch = this.queue.splice(0).map(RemoteSink.serialise);
+        const self = this;
+        return Promise.resolve().then(function () {
+            return self.send(self.endpoint, batch);
+        }).catch(function () {
+            self.dropped += batch.length;
+        });
+    }
+
+    /**
+     * A record as plain JSON
+     */
+    static serialise(record) {
+        return {
+            time: new Date(record.time).toISOString(),
+            frame: record.frame,
+            level: record.level.prefix,
+            namespace: record.namespace,
+            message: record.message,
+            context: record.context
+        };
+    }
+
+    /**
+     * POST a batch of records as JSON
+     * @returns {Promise}
+     */
+    static post(endpoint, records) {
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify(records)
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+        });
+    }
+}
+
+RemoteSink.BatchSize = 20;
+
+/**
+ * Stands in for a logging server, keeping what is sent to it, e.g. to try a
+ * RemoteSink out without one:
+ *
+ *     const endpoint = new StandInEndpoint();
+ *     Logger.GlobalLogger.addSink(new RemoteSink('/log', {send: endpoint.send}));
+ */
+class StandInEndpoint {
+    constructor() {
+        /** Every record received, oldest first */
+        this.received = [];
+        this.send = (endpoint, records) => {
+            this.received = this.received.concat(records);
+            return Promise.resolve();
+        };
+    }
+}
+
+/** The latest records logged anywhere */
+Logger.Recent = new RingBufferSink();
+
+// Create a global logger
+Logger.GlobalLogger = new Logger(Logger.LogLevel.INFO);
@@ -0,0 +1,100 @@
+/**
+ * The volume channels everything is played through.  Music and sound effects
+ * each have a channel, and both go through the master channel:
+ *
+ *     music ──┐
+ *             ├── master ── speakers
+ *     sfx ────┘
+ *
+ * Each channel's level is 0 to 1.  While a sound effect plays the music is
+ * ducked, turned down to Mixer.DuckLevel of its level, so the effect can be
+ * heard over it.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class Mixer {
+    /**
+     * @param {BaseAudioContext} context
+     * @param {AudioNode} destination Where the master channel goes, defaults to the speakers
+     */
+    constructor(context, destination = context.destination) {
+        this.context = context;
+        this.levels = {};
+        /** The context time the music is ducked until */
+        this.duckedUntil = 0;
+        for (let i = 0; i < Mixer.Channels.length; i++) {
+            const channel = Mixer.Channels[i];
+            this[channel] = context.createGain();
+            this.levels[channel] = 1;
+        }
+        this.music.connect(this.master);
+        this.sfx.connect(this.master);
+        this.master.connect(destination);
+    }
+
+    /**
+     * @param {string} channel One of Mixer.Channels
+     */
+    level(channel) {
+        return this.levels[channel];
+    }
+
+    /**
+     * Change the level of a channel straight away
+     * @param {string} channel One of Mixer.Channels
+     * @param {number} level 0 to 1
+     */
+    setLevel(channel, level) {
+        if (Mixer.Channels.indexOf(channel) < 0) {
+            throw new Error('Unknown channel: ' + channel);
+        }
+        this.levels[channel] = Math.min(1, Math.max(0, level));
+        const gain = this[channel].gain;
+        const now = this.context.currentTime;
+        gain.cancelScheduledValues(now);
+        if (channel === 'music' && this.duckedUntil > now) {
+            this.duck(this.duckedUntil);
+        } else {
+            gain.setValueAtTime(this.levels[channel], now);
+        }
+    }
+
+    /**
+     * Turn the music down until a time, then back up again.  Ducking again
+     * before then keeps it down until the later of the two.
+     * @param {number} until A context time, e.g. when a sound effect ends
+     */
+    duck(until) {
+        const gain = this.music.gain;
+        const now = this.context.currentTime;
+        const level = this.levels.music;
+        this.duckedUntil = Math.max(this.duckedUntil, until);
+        gain.cancelScheduledValues(now);
+        gain.setTargetAtTime(level * Mixer.DuckLevel, now, Mixer.DuckFade);
+        gain.setTargetAtTime(level, this.duckedUntil, Mixer.DuckFade);
+    }
+
+    /**
+     * Let the audio play.  Browsers start an AudioContext suspended until the
+     * page has been interacted with, so call this from a key, click or touch
+     * handler.
+     * @returns {Promise} Resolved once the audio is playing
+     */
+    resume() {
+        if (this.context.state !== 'suspended') {
+            return Promise.resolve();
+        }
+        Logger.get('audio').debug('Resuming audio');
+        return this.context.resume().catch(function (e) {
+            Logger.get('audio').warn('Could not start audio: ' + e);
+        });
+    }
+}
+
+Mixer.Channels = ['master', 'music', 'sfx'];
+
+/** How far down the music goes while a sound effect plays */
+Mixer.DuckLevel = 0.4;
+
+/** The time constant, in seconds, of turning the music down and back up */
+Mixer.DuckFade = 0.03;
@@ -0,0 +1,195 @@
+/**
+ * Background music.  A song is a few tracks, e.g. a melody and a bass line,
+ * each written as a loop of notes:
+ *
+ *     'E4:0.5 G4:0.5 A4 R:2 C#5:1.5 Bb3:0.25'
+ *
+ * Each note is a name from the Notes table (C#4 and Bb4 can be written for
+ * CSharp4 and BFlat4) or R for a rest, then a colon and its length in beats
+ * (one beat when it is left out).  Every track loops on its own.
+ *
+ * The Sequencer moves the music on by a step every game frame, so the tempo
+ * follows the game: it speeds up as the game does and stops when the game
+ * stops.  There are Sequencer.StepsPerBeat steps to a beat.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class Sequencer {
+    /**
+     * @param {{name: string, tracks: Object[]}} song
+     * @param {Object[]} voices One for each track, with start(frequency) and
+     *     stop() methods that play a note and silence it
+     */
+    constructor(song, voices) {
+        this.song = song;
+        this.tracks = song.tracks.map((track, i) => ({
+            notes: Sequencer.parse(track.notes),
+            voice: voices[i],
+            index: -1,
+            left: 0
+        }));
+        this.playing = false;
+    }
+
+    /**
+     * Move every track on by one step, starting the notes that are due.
+     * After stop() the notes that were cut off start again.
+     */
+    step() {
+        for (let i = 0; i < this.tracks.length; i++) {
+            const track = this.tracks[i];
+            if (track.notes.length === 0) {
+                continue;
+            }
+            if (track.left === 0) {
+                track.index = (track.index + 1) % track.notes.length;
+                track.left = track.notes[track.index].steps;
+                this.sound(track);
+            } else if (!this.playing) {
+                this.sound(track);
+            }
+            track.left -= 1;
+        }
+        this.playing = true;
+    }
+
+    sound(track) {
+        const note = track.notes[track.index];
+        if (note.frequency === null) {
+            track.voice.stop();
+        } else {
+            track.voice.start(note.frequency);
+        }
+    }
+
+    /**
+     * Silence every track, keeping their places
+     */
+    stop() {
+        for (let i = 0; i < this.tracks.length; i++) {
+            this.tracks[i].voice.stop();
+        }
+        this.playing = false;
+    }
+
+    /**
+     * Stop and go back to the start of the song
+     */
+    rewind() {
+        this.stop();
+        for (let i = 0; i < this.tracks.length; i++) {
+            this.tracks[i].index = -1;
+            this.tracks[i].left = 0;
+        }
+    }
+
+    /**
+     * Read a track's notes
+     * @param {string} text See above
+     * @returns {{name: string, frequency: number, steps: number}[]} frequency is null for a rest
+     */
+    static parse(text) {
+        return text.trim().split(/\s+/).filter(token => token.length > 0).map(function (token) {
+            const parts = token.split(':');
+            const beats = parts.length > 1 ? Number(parts[1]) : 1;
+            const steps = Math.round(beats * Sequencer.StepsPerBeat);
+            if (!(steps > 0)) {
+                throw new Error('Bad note length: ' + token);
+            }
+            return {name: parts[0], frequency: Sequencer.frequency(parts[0]), steps: steps};
+        });
+    }
+
+    /**
+     * The frequency of a note, e.g. A4, C#5, Bb3 or CSharp5
+     * @returns The frequency in Hz, or null for a rest
+     */
+    static frequency(name) {
+        if (name === 'R') {
+            return null;
+        }
+        const key = name.replace('#', 'Sharp').replace(/^([A-G])b/, '$1Flat');
+        if (Notes[key] === undefined) {
+            throw new Error('Unknown note: ' + name);
+        }
+        return Notes[key];
+    }
+
+    /**
+     * Add a song, or replace the one with the same name.  A song named after
+     * a Level plays on that level.
+     */
+    static addSong(song) {
+        Sequencer.Songs[song.name] = song;
+        return song;
+    }
+
+    /**
+     * The song for a level, or the classic song
+     * @param {string} levelName
+     */
+    static songFor(levelName) {
+        return Sequencer.Songs[levelName] || Sequencer.Songs[Sequencer.DefaultSong];
+    }
+}
+
+/** One step per game frame, so a beat is four frames */
+Sequencer.StepsPerBeat = 4;
+
+Sequencer.Songs = {};
+
+Sequencer.DefaultSong = 'classic';
+
+// Each track has a wave (see OscillatorNode.type), a volume and its notes
+Sequencer.addSong({
+    name: 'classic',
+    tracks: [
+        {wave: 'square', volume: 0.04, notes: 'E4:0.5 G4:0.5 A4:0.5 G4:0.5 E4:0.5 D4:0.5 C4 ' +
+            'E4:0.5 G4:0.5 A4:0.5 C5:0.5 B4 R ' +
+            'A4:0.5 G4:0.5 E4:0.5 G4:0.5 A4:0.5 B4:0.5 C5 ' +
+            'B4:0.5 A4:0.5 G4:0.5 E4:0.5 D4 R'},
+        {wave: 'triangle', volume: 0.08, notes: 'C3 R G2 R A2 R G2 R F2 R C3 R G2 R G2 R'}
+    ]
+});
+Sequencer.addSong({
+    name: 'Box',
+    tracks: [
+        {wave: 'square', volume: 0.04, notes: 'A4:0.5 C5:0.5 E5:0.5 C5:0.5 D5 B4 ' +
+            'G4:0.5 B4:0.5 D5:0.5 B4:0.5 C5 A4 ' +
+            'F4:0.5 A4:0.5 C5:0.5 A4:0.5 B4:0.5 G#4:0.5 E4 ' +
+            'A4:1.5 R:0.5 A4 R'},
+        {wave: 'triangle', volume: 0.08, notes: 'A2:0.5 A2:0.5 R E2 R G2:0.5 G2:0.5 R D2 R ' +
+            'F2:0.5 F2:0.5 R E2 R A2:0.5 A2:0.5 R E2 R'}
+    ]
+});
+Sequencer.addSong({
+    name: 'Pillars',
+    tracks: [
+        {wave: 'square', volume: 0.04, notes: 'D4 F4:0.5 A4:0.5 D5 C5:0.5 A4:0.5 ' +
+            'Bb4 A4:0.5 G4:0.5 A4:2 ' +
+            'D4 F4:0.5 A4:0.5 D5 E5:0.5 F5:0.5 ' +
+            'E5 C5:0.5 A4:0.5 D5:2'},
+        {wave: 'triangle', volume: 0.08, notes: 'D2 R D3 R Bb2 R A2 R D2 R D3 R C3 R D3 R'},
+        {wave: 'sine', volume: 0.05, notes: 'R:2 A3:2 R:2 F3:2 R:2 A3:2 R:2 D4:2'}
+    ]
+});
+Sequencer.addSong({
+    name: 'Tunnels',
+    tracks: [
+        {wave: 'square', volume: 0.04, notes: 'E4:0.25 R:0.25 E4:0.25 R:0.25 G4:0.5 E4:0.5 ' +
+            'D4:0.5 E4:0.5 R G4:0.5 A4:0.5 B4:0.5 A4:0.5 G4 E4 ' +
+            'E4:0.25 R:0.25 E4:0.25 R:0.25 G4:0.5 E4:0.5 D4:0.5 C4:0.5 R D4 E4:3'},
+        {wave: 'triangle', volume: 0.08, notes: 'E2:0.5 E3:0.5 E2:0.5 E3:0.5 ' +
+            'E2:0.5 E3:0.5 E2:0.5 E3:0.5 C2:0.5 C3:0.5 C2:0.5 C3:0.5 D2:0.5 D3:0.5 D2:0.5 D3:0.5'}
+    ]
+});
+Sequencer.addSong({
+    name: 'Rooms',
+    tracks: [
+        {wave: 'square', volume: 0.04, notes: 'G4:0.5 B4:0.5 D5 B4:0.5 G4:0.5 A4 ' +
+            'F#4:0.5 A4:0.5 C5 A4:0.5 F#4:0.5 G4 ' +
+            'E4:0.5 G4:0.5 B4 C5:0.5 B4:0.5 A4 ' +
+            'G4:2 R:2'},
+        {wave: 'triangle', volume: 0.08, notes: 'G2 D3 G2 D3 D2 A2 D2 A2 C3 G2 C3 E3 G2 D3 G2 R'}
+    ]
+});
@@ -0,0 +1,516 @@
+/**
+ * Rendering sounds offline, to samples rather than the speakers, so they can
+ * be saved as WAV files and checked by tests.
+ *
+ * In a browser the sounds are rendered with an OfflineAudioContext.  Where
+ * there is none (e.g. Node, loading sounds.js, music.js and sfx.js first for
+ * the notes and sounds) a SoftwareAudioContext takes its place: a small
+ * synthesiser in plain JavaScript with just the parts of the Web Audio API
+ * the game uses.  Both give the same kind of buffer, with the samples of
+ * each channel from getChannelData().  The two don't sound exactly alike
+ * (the browser's oscillators are band limited, these aren't), so only
+ * compare buffers rendered the same way.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class OfflineRenderer {
+    /**
+     * A context that renders length seconds of sound
+     * @param {number} length In seconds
+     * @param {{sampleRate: number, channels: number, software: boolean}} options
+     *     software uses a SoftwareAudioContext even when there is an OfflineAudioContext
+     */
+    static createContext(length, options = {}) {
+        const sampleRate = options.sampleRate || OfflineRenderer.SampleRate;
+        const channels = options.channels || 1;
+        const samples = Math.max(1, Math.ceil(length * sampleRate));
+        if (typeof OfflineAudioContext !== 'undefined' && !options.software) {
+            return new OfflineAudioContext(channels, samples, sampleRate);
+        }
+        return new SoftwareAudioContext(channels, samples, sampleRate);
+    }
+
+    /**
+     * Render a sound effect
+     * @param {SoundEffect} effect
+     * @param {Object} options See createContext()
+     * @returns {Promise} The rendered buffer
+     */
+    static effect(effect, options = {}) {
+        const context = OfflineRenderer.createContext(effect.length, options);
+        effect.play(context, context.destination, 0);
+        return context.startRendering();
+    }
+
+    /**
+     * Render the start of a song, at a steady number of steps a second, as
+     * the Sequencer would play it during a game at that many frames a second
+     * @param {Object} song One of Sequencer.Songs
+     * @param {number} steps How many steps to render
+     * @param {number} fps Steps a second
+     * @param {Object} options See createContext()
+     * @returns {Promise} The rendered buffer
+     */
+    static song(song, steps, fps, options = {}) {
+        const context = OfflineRenderer.createContext(steps / fps, options);
+        const clock = {time: 0};
+        const sequencer = new Sequencer(song, song.tracks.map(track => OfflineRenderer.voice(context, track, clock)));
+        for (let i = 0; i < steps; i++) {
+            clock.time = i / fps;
+            sequencer.step();
+        }
+        return context.startRendering();
+    }
+
+    /**
+     * A voice for one track of a song, which schedules its notes at the
+     * clock's time
+     * @param {{wave: string, volume: number}} track
+     * @param {{time: number}} clock
+     */
+    static voice(context, track, clock) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = track.wave;
+        gain.gain.setValueAtTime(0, 0);
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(0);
+        return {
+            start: function (frequency) {
+                oscillator.frequency.setValueAtTime(frequency, clock.time);
+                gain.gain.setValueAtTime(track.volume, clock.time);
+            },
+            stop: function () {
+                gain.gain.setValueAtTime(0, clock.time);
+            }
+        };
+    }
+
+    /**
+     * How far apart two rendered buffers are
+     * @returns {{maxDifference: number, rms: number}} The largest difference
+     *     between two samples and the root mean square of the differences.
+     *     Both are Infinity if the buffers aren't the same shape.
+     */
+    static compare(a, b) {
+        if (a.length !== b.length || a.numberOfChannels !== b.numberOfChannels) {
+            return {maxDifference: Infinity, rms: Infinity};
+        }
+        let maxDifference = 0;
+        let sum = 0;
+        for (let c = 0; c < a.numberOfChannels; c++) {
+            const x = a.getChannelData(c);
+            const y = b.getChannelData(c);
+            for (let i = 0; i < x.length; i++) {
+                const difference = Math.abs(x[i] - y[i]);
+                maxDifference = Math.max(maxDifference, difference);
+                sum += difference * difference;
+            }
+        }
+        return {maxDifference: maxDifference, rms: Math.sqrt(sum / (a.length * a.numberOfChannels))};
+    }
+
+    /**
+     * Whether two rendered buffers sound the same: no sample is further
+     * apart than the tolerance
+     */
+    static matches(a, b, tolerance = OfflineRenderer.Tolerance) {
+        return OfflineRenderer.compare(a, b).maxDifference <= tolerance;
+    }
+}
+
+OfflineRenderer.SampleRate = 44100;
+
+/** About the rounding of a 16 bit WAV file, so a buffer matches itself saved and read back */
+OfflineRenderer.Tolerance = 1 / 16384;
+
+/**
+ * The samples of a rendered sound, like the Web Audio API's AudioBuffer
+ */
+class SoftwareAudioBuffer {
+    constructor(channels, length, sampleRate) {
+        this.numberOfChannels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.channels = [];
+        for (let c = 0; c < channels; c++) {
+            this.channels.push(new Float32Array(length));
+        }
+    }
+
+    /**
+     * The length in seconds
+     */
+    get duration() {
+        return this.length / this.sampleRate;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+/**
+ * A value that changes over time, like the Web Audio API's AudioParam, with
+ * the same automation methods
+ */
+class SoftwareParam {
+    constructor(value) {
+        this.value = value;
+        /** The changes, in time order */
+        this.events = [];
+    }
+
+    /**
+     * Add a change after any others at the same time
+     */
+    schedule(event) {
+        let i = this.events.length;
+        while (i > 0 && this.events[i - 1].time > event.time) {
+            i--;
+        }
+        this.events.splice(i, 0, event);
+        return this;
+    }
+
+    setValueAtTime(value, time) {
+        return this.schedule({type: 'set', value: value, time: time});
+    }
+
+    linearRampToValueAtTime(value, time) {
+        return this.schedule({type: 'linear', value: value, time: time});
+    }
+
+    exponentialRampToValueAtTime(value, time) {
+        return this.schedule({type: 'exponential', value: value, time: time});
+    }
+
+    setTargetAtTime(value, time, timeConstant) {
+        return this.schedule({type: 'target', value: value, time: time, timeConstant: timeConstant});
+    }
+
+    cancelScheduledValues(time) {
+        this.events = this.events.filter(event => event.time < time);
+        return this;
+    }
+
+    /**
+     * The value at every sample
+     * @returns {Float32Array}
+     */
+    render(length, sampleRate) {
+        const values = new Float32Array(length);
+        // where the value is heading from the last change: held, or towards a target
+        let from = {time: 0, value: this.value, target: null, timeConstant: 0};
+        const valueAt = function (time) {
+            if (from.target === null) {
+                return from.value;
+            }
+            return from.target + (from.value - from.target) * Math.exp(-(time - from.time) / from.timeConstant);
+        };
+        let next = 0;
+        for (let i = 0; i < length; i++) {
+            const time = i / sampleRate;
+            while (next < this.events.length && this.events[next].time <= time) {
+                const event = this.events[next];
+                if (event.type === 'target') {
+                    from = {time: event.time, value: valueAt(event.time), target: event.value, timeConstant: event.timeConstant};
+                } else {
+                    from = {time: event.time, value: event.value, target: null, timeConstant: 0};
+                }
+                next++;
+            }
+            const ramp = this.events[next];
+            if (ramp && (ramp.type === 'linear' || ramp.type === 'exponential')) {
+                const start = valueAt(from.time);
+                const alpha = (time - from.time) / (ramp.time - from.time);
+                if (ramp.type === 'linear') {
+                    values[i] = start + (ramp.value - start) * alpha;
+                } else if (start * ramp.value > 0) {
+                    values[i] = start * Math.pow(ramp.value / start, alpha);
+                } else {
+                    values[i] = start;
+                }
+            } else {
+                values[i] = valueAt(time);
+            }
+        }
+        return values;
+    }
+}
+
+/**
+ * A node in the audio graph.  Rendering pulls the samples through the graph
+ * from the destination, each node once.
+ */
+class SoftwareNode {
+    constructor(context) {
+        this.context = context;
+        this.inputs = [];
+        this.output = null;
+    }
+
+    connect(destination) {
+        destination.inputs.push(this);
+        return destination;
+    }
+
+    disconnect(destination = null) {
+        const nodes = destination ? [destination] : this.context.nodes;
+        for (let i = 0; i < nodes.length; i++) {
+            nodes[i].inputs = nodes[i].inputs.filter(input => input !== this);
+        }
+    }
+
+    /**
+     * The sum of the inputs
+     * @returns {Float32Array}
+     */
+    mix(length, sampleRate) {
+        const samples = new Float32Array(length);
+        for (let i = 0; i < this.inputs.length; i++) {
+            const input = this.inputs[i].render(length, sampleRate);
+            for (let j = 0; j < length; j++) {
+                samples[j] += input[j];
+            }
+        }
+        return samples;
+    }
+
+    render(length, sampleRate) {
+        if (this.output === null) {
+            this.output = this.process(length, sampleRate);
+        }
+        return this.output;
+    }
+
+    process(length, sampleRate) {
+        return this.mix(length, sampleRate);
+    }
+}
+
+class SoftwareGainNode extends SoftwareNode {
+    constructor(context) {
+        super(context);
+        this.gain = new SoftwareParam(1);
+    }
+
+    process(length, sampleRate) {
+        const samples = this.mix(length, sampleRate);
+        const gain = this.gain.render(length, sampleRate);
+        for (let i = 0; i < length; i++) {
+            samples[i] *= gain[i];
+        }
+        return samples;
+    }
+}
+
+/**
+ * A source node, which makes sound from when it is started until it is
+ * stopped
+ */
+class SoftwareSourceNode extends SoftwareNode {
+    constructor(context) {
+        super(context);
+        this.startTime = null;
+        this.stopTime = Infinity;
+    }
+
+    start(when = 0) {
+        this.startTime = when;
+    }
+
+    stop(when = 0) {
+        this.stopTime = when;
+    }
+
+    isPlaying(time) {
+        return this.startTime !== null && time >= this.startTime && time < this.stopTime;
+    }
+}
+
+class SoftwareOscillatorNode extends SoftwareSourceNode {
+    constructor(context) {
+        super(context);
+        this.type = 'sine';
+        this.frequency = new SoftwareParam(440);
+    }
+
+    process(length, sampleRate) {
+        const samples = new Float32Array(length);
+        const frequency = this.frequency.render(length, sampleRate);
+        const wave = SoftwareOscillatorNode.Waves[this.type];
+        let phase = 0;
+        for (let i = 0; i < length; i++) {
+            if (this.isPlaying(i / sampleRate)) {
+                samples[i] = wave(phase);
+                phase = (phase + frequency[i] / sampleRate) % 1;
+            }
+        }
+        return samples;
+    }
+}
+
+/** Each OscillatorNode type, given how far through a cycle it is (0 to 1) */
+SoftwareOscillatorNode.Waves = {
+    sine: phase => Math.sin(2 * Math.PI * phase),
+    square: phase => phase < 0.5 ? 1 : -1,
+    sawtooth: phase => phase < 0.5 ? 2 * phase : 2 * phase - 2,
+    triangle: phase => phase < 0.25 ? 4 * phase : (phase < 0.75 ? 2 - 4 * phase : 4 * phase - 4)
+};
+
+class SoftwareBufferSourceNode extends SoftwareSourceNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+    }
+
+    process(length, sampleRate) {
+        const samples = new Float32Array(length);
+        if (this.buffer === null || this.startTime === null) {
+            return samples;
+        }
+        const data = this.buffer.getChannelData(0);
+        const first = Math.ceil(this.startTime * sampleRate);
+        for (let i = first; i < length && i - first < data.length && this.isPlaying(i / sampleRate); i++) {
+            samples[i] = data[i - first];
+        }
+        return samples;
+    }
+}
+
+/**
+ * Enough of the Web Audio API's OfflineAudioContext to render the game's
+ * sounds without one
+ */
+class SoftwareAudioContext {
+    /**
+     * @param {number} channels
+     * @param {number} length In samples
+     * @param {number} sampleRate
+     */
+    constructor(channels, length, sampleRate) {
+        this.numberOfChannels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        /** Every node made, so they can be disconnected from all of them */
+        this.nodes = [];
+        this.destination = this.track(new SoftwareNode(this));
+    }
+
+    track(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    createGain() {
+        return this.track(new SoftwareGainNode(this));
+    }
+
+    createOscillator() {
+        return this.track(new SoftwareOscillatorNode(this));
+    }
+
+    createBufferSource() {
+        return this.track(new SoftwareBufferSourceNode(this));
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        return new SoftwareAudioBuffer(channels, length, sampleRate);
+    }
+
+    /**
+     * Render everything connected to the destination.  Every channel gets
+     * the same samples.
+     * @returns {Promise<SoftwareAudioBuffer>}
+     */
+    startRendering() {
+        for (let i = 0; i < this.nodes.length; i++) {
+            this.nodes[i].output = null;
+        }
+        const samples = this.destination.render(this.length, this.sampleRate);
+        const buffer = new SoftwareAudioBuffer(this.numberOfChannels, this.length, this.sampleRate);
+        for (let c = 0; c < this.numberOfChannels; c++) {
+            buffer.getChannelData(c).set(samples);
+        }
+        return Promise.resolve(buffer);
+    }
+}
+
+/** Saving and reading rendered sound as 16 bit PCM WAV files */
+class Wav {
+    /**
+     * @param {AudioBuffer} buffer A rendered buffer
+     * @returns {ArrayBuffer} The WAV file
+     */
+    static encode(buffer) {
+        const channels = buffer.numberOfChannels;
+        const dataLength = buffer.length * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataLength));
+        Wav.writeText(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataLength, true);
+        Wav.writeText(view, 8, 'WAVE');
+        Wav.writeText(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        Wav.writeText(view, 36, 'data');
+        view.setUint32(40, dataLength, true);
+        const data = [];
+        for (let c = 0; c < channels; c++) {
+            data.push(buffer.getChannelData(c));
+        }
+        let offset = 44;
+        for (let i = 0; i < buffer.length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, data[c][i]));
+                view.setInt16(offset, Math.round(sample * 32767), true);
+                offset += 2;
+            }
+        }
+        return view.buffer;
+    }
+
+    /**
+     * Read a WAV file saved with encode()
+     * @param {ArrayBuffer} file
+     * @returns {SoftwareAudioBuffer}
+     */
+    static decode(file) {
+        const view = new DataView(file);
+        if (Wav.readText(view, 0) !== 'RIFF' || Wav.readText(view, 8) !== 'WAVE') {
+            throw new Error('Not a WAV file');
+        }
+        if (view.getUint16(20, true) !== 1 || view.getUint16(34, true) !== 16) {
+            throw new Error('Only 16 bit PCM WAV files can be read');
+        }
+        const channels = view.getUint16(22, true);
+        const length = view.getUint32(40, true) / (channels * 2);
+        const buffer = new SoftwareAudioBuffer(channels, length, view.getUint32(24, true));
+        let offset = 44;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < channels; c++) {
+                buffer.getChannelData(c)[i] = view.getInt16(offset, true) / 32767;
+                offset += 2;
+            }
+        }
+        return buffer;
+    }
+
+    static writeText(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    static readText(view, offset) {
+        return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3));
+    }
+}
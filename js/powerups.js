@@ -0,0 +1,101 @@
+/**
+ * Power-ups: food that gives the worm that eats it a timed effect.  Each kind
+ * is a type in PowerUp.Types.  The engine keeps the effects each worm has and
+ * asks them, through the optional hooks below, whenever a rule they can
+ * change is applied, so no rule needs to know about any particular power-up.
+ *
+ *     name        its key in PowerUp.Types, and the name of its Food type
+ *     label       shown in the effects strip
+ *     color       the colour of the food and of its label
+ *     duration    how many frames the effect lasts
+ *     stacking    what eating another one does while the effect is active:
+ *                 'refresh' starts the duration again, 'extend' adds the
+ *                 duration to the time left and 'stack' refreshes it and adds
+ *                 a stack, up to maxStacks
+ *     passes      passes(kind) is true if the worm can go through kind: 'self'
+ *                 (its own body), 'wall' or 'edge' (it wraps around instead)
+ *     score       score(points, stacks) turns the points for eating into
+ *                 the points scored
+ *     speed       speed(fps) turns the frames per second into the speed the
+ *                 game runs at
+ *     frame       frame(engine, player) is called on every frame the worm moves
+ *     describe    describe(stacks) is the label when it isn't just label
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class PowerUp {
+    /**
+     * Add a kind of power-up, along with the Food that gives it
+     * @param {Object} type See above
+     * @param {number} weight How likely the food is to turn up, see Food.Types
+     * @param {number} lifetime How many frames the food stays on the board
+     */
+    static register(type, weight = 1, lifetime = 150) {
+        PowerUp.Types[type.name] = Object.assign({stacking: 'refresh', maxStacks: 1}, type);
+        Food.register({name: type.name, points: 0, grow: 0, speed: 0, lifetime: lifetime, weight: weight,
+            color: type.color, sound: 'powerUp', countdown: false, powerUp: type.name});
+        return PowerUp.Types[type.name];
+    }
+
+    /**
+     * The label for an active effect
+     * @param {{type: Object, stacks: number}} effect
+     */
+    static describe(effect) {
+        return effect.type.describe ? effect.type.describe(effect.stacks) : effect.type.label;
+    }
+}
+
+PowerUp.Types = {};
+
+PowerUp.register({
+    name: 'ghost',
+    label: 'Ghost',
+    color: '#ccccff',
+    duration: 100,
+    stacking: 'extend',
+    passes: kind => kind === 'self'
+});
+
+PowerUp.register({
+    name: 'invincible',
+    label: 'Invincible',
+    color: '#ff66ff',
+    duration: 80,
+    passes: kind => kind === 'wall' || kind === 'edge'
+});
+
+PowerUp.register({
+    name: 'multiplier',
+    label: 'Score x2',
+    color: '#ff9999',
+    duration: 200,
+    stacking: 'stack',
+    maxStacks: 3,
+    score: (points, stacks) => points * (stacks + 1),
+    describe: stacks => 'Score x' + (stacks + 1)
+});
+
+PowerUp.register({
+    name: 'magnet',
+    label: 'Magnet',
+    color: '#cccccc',
+    duration: 150,
+    frame: (engine, player) => {
+        if (engine.state.frame % PowerUp.MagnetPull === 0) {
+            engine.pullApple(player);
+        }
+    }
+});
+
+PowerUp.register({
+    name: 'slowmo',
+    label: 'Slow Motion',
+    color: '#99ffcc',
+    duration: 60,
+    stacking: 'extend',
+    speed: fps => fps / 2
+});
+
+/** The magnet pulls the apple one cell every this many frames */
+PowerUp.MagnetPull = 2;
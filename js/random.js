@@ -0,0 +1,57 @@
+/**
+ * A small, seedable pseudo random number generator (mulberry32).  Given the
+ * same seed it always produces the same sequence, which makes games
+ * reproducible.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed A 32 bit unsigned integer.  A random one is chosen if omitted.
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Restart the sequence from the given seed
+     * @param {number} seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns A number in the range [0, 1)
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} max
+     * @returns An integer in the range [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * @returns A seed for the next game, taken from this sequence
+     */
+    nextSeed() {
+        return this.nextInt(4294967296);
+    }
+}
+
+/**
+ * A seed to use when none was given.  This is the only place Math.random()
+ * is used, everything else draws from a SeededRandom.
+ */
+SeededRandom.randomSeed = function () {
+    return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,210 @@
+/**
+ * Recording and playback of whole games.  A game is fully determined by its
+ * seed and the turns the worm made, so a replay is just those two things:
+ *
+ *     {"version": 1, "seed": 1234, "speed": null, "difficulty": "normal", "wrap": false, "level": null,
+ *      "players": 1, "food": true, "board": [80, 56], "turns": [[12, "U"], [20, "L"]]}
+ *
+ * Each turn is the engine frame it was made on and the direction it was made
+ * toward.  Turns made by the second player have a third entry, the player
+ * number: [15, "D", 1].  Turns made on the same frame (e.g. while paused) are
+ * kept in order.
+ * The engine options that change how a game plays (Replay.Options) are saved
+ * alongside, as they were when the game started.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+
+/** Maps directions to the single letters used in replays, and back */
+const ReplayDirections = {
+    U: Direction.UP,
+    D: Direction.DOWN,
+    L: Direction.LEFT,
+    R: Direction.RIGHT
+}
+
+/** Records the turns of the current game on a GameEngine */
+class ReplayRecorder {
+    /**
+     * @param {GameEngine} engine The engine to record
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.start(engine.state);
+        const self = this;
+        engine.addListener('reset', function (state) {
+            self.start(state);
+        });
+        engine.addListener('turn', function (state, direction, player) {
+            self.record(state.frame, direction, player);
+        });
+    }
+
+    /**
+     * Throw away the current recording and start a new one for the given game
+     */
+    start(state) {
+        this.seed = state.seed;
+        this.options = {};
+        for (let i = 0; i < Replay.Options.length; i++) {
+            const option = Replay.Options[i];
+            this.options[option] = this.engine.options[option];
+        }
+        this.board = [this.engine.board.width, this.engine.board.height];
+        this.turns = [];
+    }
+
+    record(frame, direction, player = 0) {
+        const letters = Object.keys(ReplayDirections);
+        for (let i = 0; i < letters.length; i++) {
+            if (ReplayDirections[letters[i]] === direction) {
+                this.turns.push(player > 0 ? [frame, letters[i], player] : [frame, letters[i]]);
+                return;
+            }
+        }
+    }
+
+    /**
+     * @returns The recording as a replay object
+     */
+    toReplay() {
+        return Object.assign({
+            version: Replay.Version,
+            seed: this.seed
+        }, this.options, {
+            board: this.board,
+            turns: this.turns.slice()
+        });
+    }
+
+    /**
+     * @returns The recording as a compact JSON string
+     */
+    export() {
+        return JSON.stringify(this.toReplay());
+    }
+}
+
+/** Helpers for reading replays */
+class Replay {
+    /**
+     * Parse and check a replay
+     * @param {string|object} json A replay, or the JSON text of one
+     * @returns The replay object
+     */
+    static parse(json) {
+        const replay = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!replay || replay.version !== Replay.Version) {
+            throw new Error('Unsupported replay version: ' + (replay && replay.version));
+        }
+        if (typeof replay.seed !== 'number' || !Array.isArray(replay.turns)) {
+            throw new Error('A replay needs a seed and a list of turns');
+        }
+        for (let i = 0; i < replay.turns.length; i++) {
+            const turn = replay.turns[i];
+            if (!Array.isArray(turn) || typeof turn[0] !== 'number' || !ReplayDirections[turn[1]] ||
+                (turn.length > 2 && !Number.isInteger(turn[2]))) {
+                throw new Error('Invalid turn in replay: ' + JSON.stringify(turn));
+            }
+        }
+        return replay;
+    }
+}
+
+Replay.Version = 1;
+
+/** The engine options saved with a replay */
+Replay.Options = ['speed', 'difficulty', 'wrap', 'level', 'players', 'food'];
+
+/** The options of replays saved before an option was added */
+Replay.Defaults = {
+    difficulty: 'normal',
+    players: 1,
+    food: false
+};
+
+/**
+ * Plays a replay back on a GameEngine one frame at a time.  The player can be
+ * paused, stepped a frame at a time and sped up or slowed down; it is up to
+ * whoever drives it (normally WormJS) to call step() once per game frame.
+ */
+class ReplayPlayer {
+    /**
+     * @param {GameEngine} engine The engine to play the replay on.  It is reset to the replay's
+     *     seed and options, call stop() to put its own options back.
+     * @param {string|object} replay A replay, or the JSON text of one
+     */
+    constructor(engine, replay) {
+        this.replay = Replay.parse(replay);
+        this.engine = engine;
+        this.savedOptions = Object.assign({}, engine.options);
+        for (let i = 0; i < Replay.Options.length; i++) {
+            const option = Replay.Options[i];
+            if (option in this.replay) {
+                engine.options[option] = this.replay[option];
+            } else if (option in Replay.Defaults) {
+                engine.options[option] = Replay.Defaults[option];
+            }
+        }
+        this.paused = false;
+        this.speed = 1;
+        this.next = 0;
+        try {
+            // checked before the reset, so a replay that can't be played leaves the game as it was
+            const size = engine.check(engine.options).layout.board;
+            const board = this.replay.board;
+            if (board && (board[0] !== size.width || board[1] !== size.height)) {
+                throw new Error(`Replay was recorded on a ${board[0]}x${board[1]} board, this board is ` +
+                    `${size.width}x${size.height}`);
+            }
+            engine.reset(this.replay.seed);
+        } catch (e) {
+            this.stop();
+            throw e;
+        }
+        engine.resume();
+    }
+
+    /**
+     * Whether the game being replayed has ended
+     */
+    isFinished() {
+        return this.engine.state.gameState !== GameEngine.GameState.PLAYING;
+    }
+
+    /**
+     * Make the turns recorded for the current frame and advance the engine one frame
+     * @returns The new engine state
+     */
+    step() {
+        const engine = this.engine;
+        const turns = this.replay.turns;
+        while (this.next < turns.length && turns[this.next][0] <= engine.state.frame) {
+            engine.turn(ReplayDirections[turns[this.next][1]], turns[this.next][2] || 0);
+            this.next += 1;
+        }
+        return engine.tick();
+    }
+
+    /**
+     * Give the engine back the options it had before the replay
+     */
+    stop() {
+        Object.assign(this.engine.options, this.savedOptions);
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    faster() {
+        this.speed = Math.min(this.speed * 2, ReplayPlayer.MaxSpeed);
+    }
+
+    slower() {
+        this.speed = Math.max(this.speed / 2, ReplayPlayer.MinSpeed);
+    }
+}
+
+ReplayPlayer.MaxSpeed = 16;
+ReplayPlayer.MinSpeed = 0.25;
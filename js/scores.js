@@ -0,0 +1,261 @@
+/**
+ * The local high score tables.  Each mode a game can be played in (its
+ * difficulty, starting level, edges and food) has its own top ten, so that a score
+ * is only up against scores made under the same rules.  Only one player
+ * games are entered.
+ *
+ * An entry is:
+ *
+ *     initials  up to three letters or digits typed in at the end of the game
+ *     score     the points scored
+ *     length    the length of the worm at the end
+ *     duration  how long the game lasted, in seconds of game time
+ *     date      when it was played, as an ISO 8601 string
+ *     seed      the seed of the game, to play it again
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class HighScores {
+    /**
+     * @param {Object<string, Object[]>} tables The entries for each mode, best first
+     */
+    constructor(tables = {}) {
+        this.tables = {};
+        for (let mode in tables) {
+            this.tables[mode] = tables[mode].slice(0, HighScores.Size);
+        }
+    }
+
+    /**
+     * The entries for a mode, best first
+     * @param {string} mode See HighScores.mode()
+     */
+    table(mode) {
+        return this.tables[mode] || [];
+    }
+
+    /**
+     * Every mode with at least one entry
+     */
+    modes() {
+        return Object.keys(this.tables).filter(mode => this.tables[mode].length > 0).sort();
+    }
+
+    /**
+     * @returns The best score for a mode, or 0 if there are none
+     */
+    best(mode) {
+        const table = this.table(mode);
+        return table.length > 0 ? table[0].score : 0;
+    }
+
+    /**
+     * @returns The place (0 for first) a score would take in a mode's table,
+     *     or -1 if it isn't good enough to get in.  A score that ties with
+     *     one already there goes below it.
+     */
+    rank(mode, score) {
+        if (score <= 0) {
+            return -1;
+        }
+        const table = this.table(mode);
+        let rank = 0;
+        while (rank < table.length && table[rank].score >= score) {
+            rank++;
+        }
+        return rank < HighScores.Size ? rank : -1;
+    }
+
+    /**
+     * Put an entry in a mode's table, if it is good enough
+     * @returns The place it took, or -1
+     */
+    add(mode, entry) {
+        const rank = this.rank(mode, entry.score);
+        if (rank >= 0) {
+            const table = this.table(mode).slice();
+            table.splice(rank, 0, entry);
+            this.tables[mode] = table.slice(0, HighScores.Size);
+        }
+        return rank;
+    }
+
+    /**
+     * Add the entries from other tables, e.g. imported from another browser.
+     * Entries that are already here are left out.
+     * @param {HighScores} other
+     * @returns The number of entries added
+     */
+    merge(other) {
+        let added = 0;
+        for (let mode in other.tables) {
+            const table = this.table(mode);
+            const entries = other.tables[mode].filter(entry =>
+                !table.some(existing => existing.date === entry.date && existing.score === entry.score));
+            for (let i = 0; i < entries.length; i++) {
+                if (this.add(mode, entries[i]) >= 0) {
+                    added++;
+                }
+            }
+        }
+        return added;
+    }
+
+    toJSON() {
+        return {
+            version: HighScores.Version,
+            tables: this.tables
+        };
+    }
+
+    /**
+     * Save the tables to a Storage (e.g. localStorage)
+     */
+    save(storage) {
+        storage.setItem(HighScores.StorageKey, JSON.stringify(this));
+    }
+
+    /**
+     * Read tables saved with save().  Tables that can't be read are ignored.
+     * @returns {HighScores}
+     */
+    static load(storage) {
+        const saved = storage.getItem(HighScores.StorageKey);
+        if (saved) {
+            try {
+                return HighScores.parse(saved);
+            } catch (e) {
+                Logger.get('storage').warn('Ignoring saved high scores: ' + e.message);
+            }
+        }
+        return new HighScores();
+    }
+
+    /**
+     * Read tables from their JSON form, as exported with JSON.stringify()
+     * @param {string} text
+     * @returns {HighScores}
+     */
+    static parse(text) {
+        const json = JSON.parse(text);
+        if (!json || json.version !== HighScores.Version) {
+            throw new Error('Unsupported high scores version: ' + (json && json.version));
+        }
+        if (!json.tables || typeof json.tables !== 'object') {
+            throw new Error('High scores have no tables');
+        }
+        const tables = {};
+        for (let mode in json.tables) {
+            const table = json.tables[mode];
+            if (!Array.isArray(table)) {
+                throw new Error('Bad high score table: ' + mode);
+            }
+            for (let i = 0; i < table.length; i++) {
+                const entry = table[i];
+                if (!entry || typeof entry.initials !== 'string' || typeof entry.score !== 'number') {
+                    throw new Error(`Bad high score ${i + 1} in ${mode}`);
+                }
+            }
+            tables[mode] = table.slice().sort((a, b) => b.score - a.score);
+        }
+        return new HighScores(tables);
+    }
+
+    /**
+     * The mode a game is played in, from its engine options
+     * @param {{difficulty: string, level: string, wrap: boolean, food: boolean}} options
+     */
+    static mode(options) {
+        return [options.difficulty || Difficulty.Default, options.level || 'classic', options.wrap ? 'wrap' : 'walls',
+            options.food ? 'food' : 'apples'].join('/');
+    }
+
+    /**
+     * A readable name for a mode, e.g. 'Normal, Classic, Walls, Apples'
+     */
+    static describeMode(mode) {
+        const parts = mode.split('/');
+        const difficulty = Difficulty.find(parts[0]);
+        return [difficulty ? difficulty.label : parts[0], parts[1] === 'classic' ? 'Classic' : parts[1],
+            parts[2] === 'wrap' ? 'Wrap' : 'Walls', parts[3] === 'food' ? 'Food' : 'Apples'].join(', ');
+    }
+
+    /**
+     * A number of seconds as minutes and seconds, e.g. 1:05
+     */
+    static formatDuration(seconds) {
+        const whole = Math.round(seconds);
+        const secs = whole % 60;
+        return Math.floor(whole / 60) + ':' + (secs < 10 ? '0' : '') + secs;
+    }
+}
+
+HighScores.Version = 1;
+
+HighScores.StorageKey = 'highScores';
+
+/** The number of entries in each table */
+HighScores.Size = 10;
+
+/** The most characters of initials */
+HighScores.InitialsLength = 3;
+
+/**
+ * The state of the initials prompt on the game over screen, shown when a
+ * score gets into the table
+ */
+class InitialsEntry {
+    /**
+     * @param {string} initials What the prompt starts with
+     */
+    constructor(initials = '') {
+        this.initials = initials;
+        this.isOpen = false;
+        this.rank = -1;
+    }
+
+    /**
+     * @param {number} rank The place the score takes in its table
+     */
+    open(rank) {
+        this.isOpen = true;
+        this.rank = rank;
+    }
+
+    close() {
+        this.isOpen = false;
+    }
+
+    /**
+     * The initials to save, or ??? when none were typed
+     */
+    get value() {
+        return this.initials || '???';
+    }
+
+    /**
+     * Handle a key press while the prompt is open
+     * @param {string} code A KeyboardEvent.code
+     * @returns true when the initials have been entered
+     */
+    keyDown(code) {
+        const letter = /^(Key|Digit|Numpad)([A-Z0-9])$/.exec(code);
+        if (letter) {
+            if (this.initials.length < HighScores.InitialsLength) {
+                this.initials += letter[2];
+            }
+            return false;
+        }
+        switch(code) {
+            case 'Backspace':
+                this.initials = this.initials.slice(0, -1);
+                return false;
+            case 'Enter':
+            case 'NumpadEnter':
+            case 'Escape':
+                this.close();
+                return true;
+        }
+        return false;
+    }
+}
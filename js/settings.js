@@ -0,0 +1,275 @@
+/**
+ * The player's settings: every toggle and option that is remembered between
+ * visits.  Each setting is described in Settings.Definitions, with the values
+ * it can take.  Changing one saves them all and tells the listeners for that
+ * setting, so whatever depends on a setting follows it however it was
+ * changed: by a key, the settings bar or the settings panel.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class Settings {
+    /**
+     * @param {Object} storage Where the settings are saved (see storage.js), or null not to save them
+     * @param {Object} values Saved values.  Missing or unknown ones get the default.
+     */
+    constructor(storage = null, values = {}) {
+        this.storage = storage;
+        this.values = {};
+        this.listeners = {};
+        this.checks = {};
+        for (let i = 0; i < Settings.Definitions.length; i++) {
+            const definition = Settings.Definitions[i];
+            const value = values[definition.name];
+            if (value === undefined || this.isValid(definition.name, value)) {
+                this.values[definition.name] = value === undefined ? definition.default : value;
+            } else {
+                Logger.get('settings').warn(`Ignoring saved ${definition.name}: ${value}`);
+                this.values[definition.name] = definition.default;
+            }
+        }
+    }
+
+    /**
+     * Register a function to be called when a setting changes, with the new
+     * value, the old one and the setting's name
+     * @param {string} name The name of a setting, or 'change' for all of them
+     */
+    addListener(name, listener) {
+        if (!this.listeners[name]) {
+            this.listeners[name] = [];
+        }
+        this.listeners[name].push(listener);
+    }
+
+    /**
+     * Register a function to be called with a setting's new value before it
+     * is saved.  It throws if the value can't be used, e.g. a level the game
+     * can't lay out, and the setting is left as it was.
+     * @param {string} name The name of a setting
+     */
+    addCheck(name, check) {
+        if (!this.checks[name]) {
+            this.checks[name] = [];
+        }
+        this.checks[name].push(check);
+    }
+
+    emit(name, value, previous) {
+        const listeners = (this.listeners[name] || []).concat(this.listeners.change || []);
+        for (let i = 0; i < listeners.length; i++) {
+            listeners[i](value, previous, name);
+        }
+    }
+
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * Change a setting, save and tell its listeners
+     * @throws If the setting can't take the value, or one of its checks fails
+     */
+    set(name, value) {
+        if (!this.isValid(name, value)) {
+            throw new Error(`Unknown ${name}: ${value}`);
+        }
+        const previous = this.values[name];
+        if (value === previous) {
+            return;
+        }
+        const checks = this.checks[name] || [];
+        for (let i = 0; i < checks.length; i++) {
+            checks[i](value);
+        }
+        Logger.get('settings').debug(`Setting ${name} to ${value}`);
+        this.values[name] = value;
+        this.save();
+        this.emit(name, value, previous);
+    }
+
+    /**
+     * Use values without saving them or telling anyone, e.g. options given to
+     * the game that only last until they are changed
+     */
+    override(values) {
+        for (let name in values) {
+            if (values[name] !== undefined) {
+                if (!this.isValid(name, values[name])) {
+                    throw new Error(`Unknown ${name}: ${values[name]}`);
+                }
+                this.values[name] = values[name];
+            }
+        }
+    }
+
+    /**
+     * Change a setting to its next value, going back to the first after the
+     * last
+     * @param {number} step 1 for the next value, -1 for the one before
+     */
+    next(name, step = 1) {
+        const values = Settings.valuesOf(name);
+        const index = values.indexOf(this.get(name));
+        this.set(name, values[(index + step + values.length) % values.length]);
+    }
+
+    /**
+     * Whether a setting can take a value
+     */
+    isValid(name, value) {
+        return Settings.definition(name) !== null && Settings.valuesOf(name).indexOf(value) >= 0;
+    }
+
+    /**
+     * A setting's value, as shown to the player
+     */
+    describe(name) {
+        const definition = Settings.definition(name);
+        const value = this.get(name);
+        return definition.describe ? definition.describe(value) : String(value);
+    }
+
+    toJSON() {
+        return this.values;
+    }
+
+    save() {
+        if (this.storage) {
+            this.storage.setItem(Settings.StorageKey, JSON.stringify(this));
+        }
+    }
+
+    /**
+     * Read settings saved with save().  Settings that can't be read are
+     * ignored and the defaults are used.
+     * @returns {Settings}
+     */
+    static load(storage) {
+        const saved = storage.getItem(Settings.StorageKey);
+        if (saved) {
+            try {
+                return new Settings(storage, JSON.parse(saved));
+            } catch (e) {
+                Logger.get('settings').warn('Ignoring saved settings: ' + e.message);
+            }
+        }
+        return new Settings(storage);
+    }
+
+    static onOff(value) {
+        return value ? 'On' : 'Off';
+    }
+
+    static percent(value) {
+        return value + '%';
+    }
+
+    /**
+     * @returns The definition of a setting, or null
+     */
+    static definition(name) {
+        return Settings.Definitions.find(definition => definition.name === name) || null;
+    }
+
+    /**
+     * The values a setting can take, in order
+     */
+    static valuesOf(name) {
+        const values = Settings.definition(name).values;
+        return typeof values === 'function' ? values() : values;
+    }
+}
+
+Settings.StorageKey = 'settings';
+
+/** The levels a volume can be set to, in percent */
+Settings.Volumes = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+/**
+ * Every setting, in the order the settings panel lists them.  values is a
+ * list, or a function for lists that can grow (e.g. levels loaded from a
+ * file), and describe turns a value into text.
+ */
+Settings.Definitions = [
+    {name: 'mute', label: 'Sound', default: true, values: [false, true], describe: mute => Settings.onOff(!mute)},
+    {name: 'masterVolume', label: 'Volume', default: 100, values: Settings.Volumes, describe: Settings.percent},
+    {name: 'musicVolume', label: 'Music Volume', default: 100, values: Settings.Volumes, describe: Settings.percent},
+    {name: 'sfxVolume', label: 'Effects Volume', default: 100, values: Settings.Volumes, describe: Settings.percent},
+    {name: 'debug', label: 'Debug', default: false, values: [false, true], describe: Settings.onOff},
+    {name: 'wrap', label: 'Edges', default: false, values: [false, true], describe: wrap => wrap ? 'Wrap' : 'Walls'},
+    {name: 'level', label: 'Level', default: null, values: () => [null].concat(Object.keys(Level.Registry)),
+        describe: level => level || 'Classic'},
+    {name: 'difficulty', label: 'Difficulty', default: Difficulty.Default, values: () => Object.keys(Difficulty.Presets),
+        describe: difficulty => Difficulty.find(difficulty).label},
+    {name: 'players', label: 'Players', default: 1, values: [1, 2]},
+    {name: 'opponent', label: 'Player 2', default: 'human', values: ['human', 'cpu'],
+        describe: opponent => opponent === 'cpu' ? 'Computer' : 'Human'},
+    {name: 'food', label: 'Extra Food', default: false, values: [false, true], describe: Settings.onOff},
+    {name: 'theme', label: 'Theme', default: 'classic', values: () => Object.keys(Settings.Themes),
+        describe: theme => Settings.Themes[theme].label}
+];
+
+/** The colours of the board and the settings bar */
+Settings.Themes = {
+    classic: {label: 'Classic', background: '#333333', walls: '#999999', bar: '#cccccc', barText: '#333333'},
+    dark: {label: 'Dark', background: '#111111', walls: '#555555', bar: '#444444', barText: '#dddddd'},
+    contrast: {label: 'High Contrast', background: '#000000', walls: '#ffffff', bar: '#ffff00', barText: '#000000'}
+};
+
+/**
+ * The state of the settings panel: which setting is chosen
+ */
+class SettingsPanel {
+    /**
+     * @param {Settings} settings The settings to change
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.isOpen = false;
+        this.selected = 0;
+    }
+
+    /**
+     * The name of the chosen setting
+     */
+    get name() {
+        return Settings.Definitions[this.selected].name;
+    }
+
+    open() {
+        this.isOpen = true;
+    }
+
+    close() {
+        this.isOpen = false;
+    }
+
+    /**
+     * Handle a key press while the panel is open
+     * @param {string} code A KeyboardEvent.code
+     */
+    keyDown(code) {
+        const count = Settings.Definitions.length;
+        switch(code) {
+            case 'ArrowUp':
+                this.selected = (this.selected + count - 1) % count;
+                break;
+            case 'ArrowDown':
+                this.selected = (this.selected + 1) % count;
+                break;
+            case 'ArrowLeft':
+                this.settings.next(this.name, -1);
+                break;
+            case 'ArrowRight':
+            case 'Enter':
+            case 'Space':
+                this.settings.next(this.name);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+}
+
+SettingsPanel.Help = 'Up/Down: Choose, Left/Right: Change, Esc: Close';
@@ -0,0 +1,213 @@
+/**
+ * Sound effects, synthesised with the Web Audio API.  An effect is described
+ * by a definition:
+ *
+ *     wave       'sine', 'square', 'triangle', 'sawtooth' or 'noise'
+ *     volume     the peak volume, 0 to 1
+ *     envelope   {attack, decay, sustain, release}: seconds to rise to the
+ *                peak, seconds to fall to the sustain level (0 to 1 of the
+ *                peak) and seconds to fade out at the end
+ *     duration   seconds from the start to the release
+ *     note       the note it starts on, a name as in music.js (e.g. C#5)
+ *     sweep      optional {to, time}: slide to the note to over time seconds
+ *                (the whole effect when time is left out)
+ *     arpeggio   optional {notes, step}: play the notes in turn, step seconds
+ *                each, over and over until the effect ends
+ *     duck       optional, false to leave the music up while it plays (see
+ *                mixer.js), e.g. for effects that are short and frequent
+ *
+ * Noise has no pitch, so note, sweep and arpeggio don't apply to it.
+ *
+ * Everything is scheduled ahead on the audio clock when the effect is
+ * played, so timing doesn't depend on timers, and the same effect can be
+ * rendered offline by passing an OfflineAudioContext to play().
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class SoundEffect {
+    /**
+     * @param {Object} definition See above
+     */
+    constructor(definition) {
+        if (SoundEffect.Waves.indexOf(definition.wave) < 0) {
+            throw new Error('Unknown wave: ' + definition.wave);
+        }
+        this.name = definition.name;
+        this.wave = definition.wave;
+        this.volume = definition.volume;
+        this.envelope = Object.assign({attack: 0, decay: 0, sustain: 1, release: 0}, definition.envelope);
+        this.duration = definition.duration;
+        this.note = definition.note || null;
+        this.sweep = definition.sweep || null;
+        this.arpeggio = definition.arpeggio || null;
+        this.duck = definition.duck !== false;
+    }
+
+    /**
+     * How long the effect lasts, in seconds, release included
+     */
+    get length() {
+        return this.holdTime + this.envelope.release;
+    }
+
+    /**
+     * Seconds from the start to the release
+     */
+    get holdTime() {
+        return Math.max(this.duration, this.envelope.attack + this.envelope.decay);
+    }
+
+    /**
+     * Schedule the effect
+     * @param {BaseAudioContext} context An AudioContext or OfflineAudioContext
+     * @param {AudioNode} destination Where the effect goes
+     * @param {number} when The context time to start at, defaults to now
+     * @returns The context time the effect ends at
+     */
+    play(context, destination, when = context.currentTime) {
+        const source = this.wave === 'noise' ? this.noiseSource(context) : this.oscillator(context, when);
+        const gain = context.createGain();
+        const envelope = this.envelope;
+        const peak = this.volume;
+        const end = when + this.length;
+        gain.gain.setValueAtTime(0, when);
+        gain.gain.linearRampToValueAtTime(peak, when + envelope.attack);
+        gain.gain.linearRampToValueAtTime(peak * envelope.sustain, when + envelope.attack + envelope.decay);
+        gain.gain.setValueAtTime(peak * envelope.sustain, when + this.holdTime);
+        gain.gain.linearRampToValueAtTime(0, end);
+        source.connect(gain);
+        gain.connect(destination);
+        source.start(when);
+        source.stop(end);
+        return end;
+    }
+
+    /**
+     * An oscillator following the effect's note, sweep and arpeggio
+     */
+    oscillator(context, when) {
+        const oscillator = context.createOscillator();
+        const frequency = oscillator.frequency;
+        oscillator.type = this.wave;
+        frequency.setValueAtTime(Sequencer.frequency(this.note), when);
+        if (this.arpeggio) {
+            const notes = this.arpeggio.notes.map(Sequencer.frequency);
+            for (let i = 0; i * this.arpeggio.step < this.length; i++) {
+                frequency.setValueAtTime(notes[i % notes.length], when + i * this.arpeggio.step);
+            }
+        } else if (this.sweep) {
+            frequency.exponentialRampToValueAtTime(Sequencer.frequency(this.sweep.to),
+                when + (this.sweep.time || this.length));
+        }
+        return oscillator;
+    }
+
+    /**
+     * A source playing white noise for the length of the effect.  The noise
+     * is the same every time, so rendering an effect always gives the same
+     * samples.
+     */
+    noiseSource(context) {
+        const samples = Math.ceil(this.length * context.sampleRate);
+        const buffer = context.createBuffer(1, samples, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        const random = new SeededRandom(SoundEffect.NoiseSeed);
+        for (let i = 0; i < samples; i++) {
+            data[i] = random.next() * 2 - 1;
+        }
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        return source;
+    }
+
+    /**
+     * Add an effect, or replace the one with the same name
+     * @param {Object} definition See above
+     * @returns {SoundEffect}
+     */
+    static add(definition) {
+        const effect = new SoundEffect(definition);
+        SoundEffect.Presets[effect.name] = effect;
+        return effect;
+    }
+}
+
+SoundEffect.Waves = ['sine', 'square', 'triangle', 'sawtooth', 'noise'];
+
+SoundEffect.NoiseSeed = 1;
+
+/** Every effect by name, in the order the preview screen lists them */
+SoundEffect.Presets = {};
+
+SoundEffect.add({name: 'eat', wave: 'square', volume: 0.12, duration: 0.06, note: 'D5', sweep: {to: 'A5'},
+    envelope: {attack: 0.005, decay: 0.04, sustain: 0.6, release: 0.04}});
+SoundEffect.add({name: 'bonus', wave: 'square', volume: 0.12, duration: 0.1, note: 'E5',
+    arpeggio: {notes: ['E5', 'B5'], step: 0.05}, envelope: {attack: 0.005, decay: 0.05, sustain: 0.6, release: 0.05}});
+SoundEffect.add({name: 'shrink', wave: 'triangle', volume: 0.2, duration: 0.12, note: 'C5', sweep: {to: 'C4'},
+    envelope: {attack: 0.005, decay: 0.05, sustain: 0.7, release: 0.05}});
+SoundEffect.add({name: 'slow', wave: 'sine', volume: 0.2, duration: 0.2, note: 'G4', sweep: {to: 'G3'},
+    envelope: {attack: 0.01, decay: 0.1, sustain: 0.5, release: 0.1}});
+SoundEffect.add({name: 'golden', wave: 'square', volume: 0.1, duration: 0.2, note: 'A5',
+    arpeggio: {notes: ['A5', 'C#6', 'E6', 'A6'], step: 0.04}, envelope: {attack: 0.005, decay: 0.1, sustain: 0.5, release: 0.1}});
+SoundEffect.add({name: 'turn', wave: 'triangle', volume: 0.08, duration: 0.015, note: 'A6', duck: false,
+    envelope: {attack: 0.002, decay: 0.01, sustain: 0.3, release: 0.01}});
+SoundEffect.add({name: 'powerUp', wave: 'square', volume: 0.1, duration: 0.24, note: 'C5',
+    arpeggio: {notes: ['C5', 'E5', 'G5', 'C6'], step: 0.06}, envelope: {attack: 0.005, decay: 0.1, sustain: 0.7, release: 0.08}});
+SoundEffect.add({name: 'death', wave: 'sawtooth', volume: 0.15, duration: 0.5, note: 'A3', sweep: {to: 'A1'},
+    envelope: {attack: 0.005, decay: 0.3, sustain: 0.4, release: 0.3}});
+SoundEffect.add({name: 'crash', wave: 'noise', volume: 0.2, duration: 0.05,
+    envelope: {attack: 0.002, decay: 0.1, sustain: 0, release: 0.05}});
+SoundEffect.add({name: 'levelComplete', wave: 'triangle', volume: 0.2, duration: 0.6, note: 'C5',
+    arpeggio: {notes: ['C5', 'E5', 'G5', 'C6', 'G5', 'C6'], step: 0.1}, envelope: {attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.2}});
+
+/**
+ * The state of the sound effect preview screen, shown in debug mode: which
+ * effect is chosen
+ */
+class SoundPreview {
+    constructor() {
+        this.isOpen = false;
+        this.selected = 0;
+    }
+
+    /**
+     * The name of the chosen effect
+     */
+    get name() {
+        return Object.keys(SoundEffect.Presets)[this.selected];
+    }
+
+    open() {
+        this.isOpen = true;
+    }
+
+    close() {
+        this.isOpen = false;
+    }
+
+    /**
+     * Handle a key press while the screen is open
+     * @param {string} code A KeyboardEvent.code
+     * @returns The name of the effect to play, or null
+     */
+    keyDown(code) {
+        const count = Object.keys(SoundEffect.Presets).length;
+        switch(code) {
+            case 'ArrowUp':
+                this.selected = (this.selected + count - 1) % count;
+                return null;
+            case 'ArrowDown':
+                this.selected = (this.selected + 1) % count;
+                return null;
+            case 'Enter':
+            case 'Space':
+                return this.name;
+            case 'Escape':
+                this.close();
+                return null;
+        }
+        return null;
+    }
+}
+
+SoundPreview.Help = 'Up/Down: Choose, Enter: Play, Esc: Close';
@@ -158,4 +158,4 @@
 
     window.Notes = Notes;
 
-})(window);
\ No newline at end of file
+})(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
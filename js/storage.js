@@ -0,0 +1,282 @@
+/**
+ * Where settings and scores are kept.  Everything that saves takes a storage
+ * with the getItem/setItem/removeItem methods of the browser's Storage, so any
+ * of these can be used in place of window.localStorage:
+ *
+ *     WebStorage        window.localStorage, carrying on in memory when it
+ *                       can't be used (e.g. private browsing, full quota)
+ *     MemoryStorage     nothing is kept once the page is closed, for tests
+ *                       and Node
+ *     IndexedDBStorage  an IndexedDB database, read into memory once when it
+ *                       is opened
+ *
+ * What is kept has changed over time, so each storage records the version of
+ * its layout and GameStorage.migrate() brings older ones up to date.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+class MemoryStorage {
+    /**
+     * @param {Object<string, string>} items What the storage starts with
+     */
+    constructor(items = {}) {
+        this.items = new Map();
+        for (let key in items) {
+            this.items.set(key, String(items[key]));
+        }
+    }
+
+    /**
+     * @returns The value saved for a key, or null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * Every key with a value
+     */
+    keys() {
+        return Array.from(this.items.keys());
+    }
+}
+
+/**
+ * A browser Storage that never throws.  When it can't be read or written the
+ * value is kept in memory instead, so the game plays on and only forgets it
+ * when the page is closed.
+ */
+class WebStorage {
+    /**
+     * @param {Storage} storage e.g. window.localStorage
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.fallback = new MemoryStorage();
+    }
+
+    getItem(key) {
+        const value = this.fallback.getItem(key);
+        if (value !== null) {
+            return value;
+        }
+        try {
+            return this.storage.getItem(key);
+        } catch (e) {
+            Logger.get('storage').warn(`Could not read ${key}: ${e.message}`);
+            return null;
+        }
+    }
+
+    setItem(key, value) {
+        try {
+            this.storage.setItem(key, value);
+            this.fallback.removeItem(key);
+        } catch (e) {
+            Logger.get('storage').warn(`Could not save ${key}, keeping it until the page is closed: ${e.message}`);
+            this.fallback.setItem(key, value);
+        }
+    }
+
+    removeItem(key) {
+        this.fallback.removeItem(key);
+        try {
+            this.storage.removeItem(key);
+        } catch (e) {
+            Logger.get('storage').warn(`Could not remove ${key}: ${e.message}`);
+        }
+    }
+
+    keys() {
+        const keys = new Set(this.fallback.keys());
+        try {
+            for (let i = 0; i < this.storage.length; i++) {
+                keys.add(this.storage.key(i));
+            }
+        } catch (e) {
+            Logger.get('storage').warn('Could not list saved keys: ' + e.message);
+        }
+        return Array.from(keys);
+    }
+}
+
+/**
+ * An IndexedDB database, for browsers where localStorage is too small or
+ * missing.  IndexedDB only works asynchronously, so everything is read when
+ * the database is opened (see IndexedDBStorage.open()) and after that reads
+ * come from memory and writes go to the database in the background.
+ */
+class IndexedDBStorage extends MemoryStorage {
+    /**
+     * @param {IDBDatabase} db An open database with an IndexedDBStorage.Store object store
+     * @param {Object<string, string>} items What is already in it
+     */
+    constructor(db, items = {}) {
+        super(items);
+        this.db = db;
+    }
+
+    setItem(key, value) {
+        super.setItem(key, value);
+        this.write(store => store.put(String(value), key));
+    }
+
+    removeItem(key) {
+        super.removeItem(key);
+        this.write(store => store.delete(key));
+    }
+
+    /**
+     * Make a change to the database.  If it fails the change is still kept
+     * in memory.
+     * @param {function} change Given the object store to change
+     */
+    write(change) {
+        try {
+            const transaction = this.db.transaction(IndexedDBStorage.Store, 'readwrite');
+            transaction.onerror = function () {
+                Logger.get('storage').warn('Could not save to IndexedDB: ' + transaction.error);
+            };
+            change(transaction.objectStore(IndexedDBStorage.Store));
+        } catch (e) {
+            Logger.get('storage').warn('Could not save to IndexedDB: ' + e.message);
+        }
+    }
+
+    /**
+     * Open the database, creating it the first time, and read what's in it
+     * @param {string} name The name of the database
+     * @param {IDBFactory} indexedDB
+     * @returns {Promise<IndexedDBStorage>}
+     */
+    static open(name = IndexedDBStorage.Name, indexedDB = window.indexedDB) {
+        return new Promise(function (resolve, reject) {
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(IndexedDBStorage.Store);
+            };
+            request.onerror = function () {
+                reject(request.error);
+            };
+            request.onsuccess = function () {
+                const db = request.result;
+                const items = {};
+                const cursor = db.transaction(IndexedDBStorage.Store).objectStore(IndexedDBStorage.Store).openCursor();
+                cursor.onerror = function () {
+                    reject(cursor.error);
+                };
+                cursor.onsuccess = function () {
+                    if (cursor.result) {
+                        items[cursor.result.key] = cursor.result.value;
+                        cursor.result.continue();
+                    } else {
+                        resolve(new IndexedDBStorage(db, items));
+                    }
+                };
+            };
+        });
+    }
+}
+
+IndexedDBStorage.Name = 'wormjs';
+
+IndexedDBStorage.Store = 'settings';
+
+/** Choosing a storage and keeping its layout up to date */
+class GameStorage {
+    /**
+     * The best storage that can be used straight away: localStorage, or
+     * memory when there is none
+     */
+    static create() {
+        try {
+            const storage = window.localStorage;
+            storage.getItem(GameStorage.VersionKey);
+            return new WebStorage(storage);
+        } catch (e) {
+            Logger.get('storage').warn('No localStorage, settings and scores will not be kept: ' + e.message);
+            return new MemoryStorage();
+        }
+    }
+
+    /**
+     * The best storage there is, trying IndexedDB when there is no localStorage
+     * @param {IDBFactory} factory The IndexedDB to try, null for none
+     * @returns {Promise} Resolves to the storage, falling back to create()'s when IndexedDB won't open
+     */
+    static open(factory = typeof indexedDB === 'undefined' ? null : indexedDB) {
+        const storage = GameStorage.create();
+        if (!(storage instanceof MemoryStorage) || !factory) {
+            return Promise.resolve(storage);
+        }
+        return IndexedDBStorage.open(IndexedDBStorage.Name, factory).catch(function (e) {
+            Logger.get('storage').warn('No IndexedDB either: ' + e);
+            return storage;
+        });
+    }
+
+    /**
+     * Bring a storage's layout up to date by running every migration it
+     * hasn't had yet
+     * @returns The storage
+     */
+    static migrate(storage) {
+        const version = Number(storage.getItem(GameStorage.VersionKey)) || 0;
+        for (let i = version; i < GameStorage.Migrations.length; i++) {
+            Logger.get('storage').info(`Migrating storage to version ${i + 1}`);
+            try {
+                GameStorage.Migrations[i](storage);
+            } catch (e) {
+                Logger.get('storage').warn(`Could not migrate storage to version ${i + 1}: ${e.message}`);
+            }
+            storage.setItem(GameStorage.VersionKey, i + 1);
+        }
+        return storage;
+    }
+}
+
+GameStorage.VersionKey = 'version';
+
+/**
+ * Migrations[i] changes a storage from version i to version i + 1.  Add new
+ * ones to the end.
+ */
+GameStorage.Migrations = [
+    // the single high score becomes the first entry in the high score tables
+    function (storage) {
+        const score = Number(storage.getItem('highScore'));
+        if (score > 0) {
+            const highScores = HighScores.load(storage);
+            highScores.add(HighScores.mode({}), {initials: '???', score: score, length: null, duration: null, date: null, seed: null});
+            highScores.save(storage);
+        }
+        storage.removeItem('highScore');
+    },
+    // the settings that were saved one per key go into Settings
+    function (storage) {
+        const values = {};
+        const read = {
+            wrap: value => value === 'true',
+            level: value => value,
+            players: value => Number(value),
+            opponent: value => value,
+            difficulty: value => value
+        };
+        for (let key in read) {
+            const value = storage.getItem(key);
+            if (value !== null) {
+                values[key] = read[key](value);
+                storage.removeItem(key);
+            }
+        }
+        new Settings(storage, values).save();
+    }
+];
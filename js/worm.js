@@ -1,62 +1,3 @@
-/** 
- * An implementation of a Logger.  Writes messages to console
- * if the logging level is set at least as high as the type
- * of message being logged.
- * 
- * Copyright 2018 Ben Ingle
-*/
-class Logger {
-    /**
-     * Construct a new logger with the given level
-     * @param {{id: number, prefix: string}} level 
-     */
-    constructor(level = Logger.LogLevel.INFO) {
-        this.level = level;
-    }
-
-    /**
-     * Log a message
-     * @param {string} message 
-     * @param {{id: number, prefix: string}} level 
-     */
-    log(message, level = Logger.LogLevel.INFO) {
-        if (level.id >= this.level.id) {
-            console.log(level.prefix + ": " + message);
-        }
-    }
-
-    trace(message) {
-        this.log(message, Logger.LogLevel.TRACE);
-    }
-
-    debug(message) {
-        this.log(message, Logger.LogLevel.DEBUG);
-    }
-
-    info(message) {
-        this.log(message, Logger.LogLevel.INFO);
-    }
-
-    warn(message) {
-        this.log(message, Logger.LogLevel.WARN);
-    }
-
-    error(message) {
-        this.log(message, Logger.LogLevel.ERROR);
-    }
-}
-
-Logger.LogLevel = {
-    TRACE: {id: 0, prefix: 'TRACE'},
-    DEBUG: {id: 1, prefix: 'DEBUG'},
-    INFO: {id: 2, prefix: 'INFO'},
-    WARN: {id: 3, prefix: 'WARN'},
-    ERROR: {id: 4, prefix: 'ERROR'}
-}
-
-// Create a global logger
-Logger.GlobalLogger = new Logger(Logger.LogLevel.INFO);
-
 class FPSTimer {
     constructor(tick = 1000) {
         this.last = Date.now();
@@ -77,11 +18,16 @@ class FPSTimer {
     }
     start() {
         let self = this;
+        this.stop();
+        // don't count the time the timer was stopped
+        this.last = Date.now();
+        this.frames = 0;
         this.interval = setInterval(function () {self.currentFps = self.getFps()}, this.tick);
     }
     stop() {
         if (this.interval) {
             clearInterval(this.interval);
+            this.interval = null;
         }
     }
     frame() {
@@ -128,11 +74,12 @@ class Sprite {
     }
     
     /**
-     * Detect whether this sprite is colliding with another (occupying the same space)
+     * Detect whether this sprite is colliding with another (their rectangles overlap)
      * @param {*} otherSprite 
      */
     isCollision(otherSprite) {
-        return this.x === otherSprite.x && this.y === otherSprite.y;
+        return this.x < otherSprite.x + otherSprite.width && otherSprite.x < this.x + this.width &&
+            this.y < otherSprite.y + otherSprite.height && otherSprite.y < this.y + this.height;
     }
 }
 
@@ -186,22 +133,94 @@ class HUDSprite extends Sprite {
         ctx.font = `${fontSize}px Arial`;
         let y = this.y + lineHeight;
         ctx.fillText('Score: ' + this.game.score, this.x, y);
+        const scores = this.game.engine.state.scores;
+        for (let i = 0; scores.length > 1 && i < scores.length; i++) {
+            y += lineHeight;
+            ctx.fillText(`${this.game.playerName(i)}: ${scores[i]}`, this.x, y);
+        }
         y += lineHeight;
-        ctx.fillText(`Apple: (${this.game.apple.x},${this.game.apple.y})`, this.x, y);
+        ctx.fillText('Seed: ' + this.game.seed, this.x, y);
+        y += lineHeight;
+        if (this.game.apple) {
+            ctx.fillText(`Apple: (${this.game.apple.x},${this.game.apple.y})`, this.x, y);
+        } else {
+            ctx.fillText('Apple: none', this.x, y);
+        }
+        const foods = this.game.engine.state.foods;
+        for (let i = 0; i < foods.length; i++) {
+            y += lineHeight;
+            const remaining = foods[i].remaining(this.game.engine.state.frame);
+            ctx.fillText(`${foods[i].type.name}: (${foods[i].x},${foods[i].y})` +
+                (remaining === null ? '' : ` ${remaining} frames`), this.x, y);
+        }
         y += lineHeight;
         ctx.fillText(`Worm: (${this.game.worm.x},${this.game.worm.y})`, this.x, y);
+        y += lineHeight;
+        ctx.fillText('Edges: ' + (this.game.wrap ? 'wrap' : 'walls'), this.x, y);
+        y += lineHeight;
+        ctx.fillText(`Difficulty: ${this.game.engine.difficulty.label} (${this.game.engine.state.fps.toFixed(1)} fps)`,
+            this.x, y);
+        const level = this.game.engine.state.level;
+        if (level) {
+            y += lineHeight;
+            ctx.fillText(`Level: ${level.name} (${this.game.engine.state.levelScore}/${level.target || '-'})`, this.x, y);
+        }
+        const pads = this.game.gamepads.connected();
+        for (let i = 0; i < pads.length; i++) {
+            y += lineHeight;
+            ctx.fillText(`Gamepad ${pads[i].index}: ${pads[i].id}`, this.x, y);
+        }
+    }
+}
+
+/**
+ * The latest log messages, over the bottom of the board in debug mode
+ */
+class LogConsoleSprite extends Sprite {
+    /**
+     * @param {RingBufferSink} sink Where the messages come from
+     */
+    constructor(x, y, width, height, sink) {
+        super(x, y, width, height);
+        this.sink = sink;
+    }
+
+    paint(canvas) {
+        const ctx = canvas.getContext('2d');
+        const lineHeight = LogConsoleSprite.FontSize * 1.2;
+        const lines = this.sink.lines(Math.floor((this.height - 4) / lineHeight));
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.font = `${LogConsoleSprite.FontSize}px monospace`;
+        for (let i = 0; i < lines.length; i++) {
+            ctx.fillText(lines[i], this.x + 3, this.y + 2 + (i + 1) * lineHeight);
+        }
     }
 }
 
+LogConsoleSprite.FontSize = 8;
+
 class SettingsSprite extends Sprite {
     constructor(game, x, y, width, height, bgColor = '#cccccc', fgColor = '#333333') {
-        super(x, y, width, height, '#cccccc', 1);
+        super(x, y, width, height, bgColor, 1);
         this.fgColor = fgColor;
         this.game = game;
     }
     paintBackground(canvas) {
         super.paint(canvas);
     }
+    /**
+     * Paint three bars, which open the settings panel
+     */
+    paintSettingsIcon(canvas, x, y) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.fgColor;
+        for (let i = 0; i < 3; i++) {
+            ctx.fillRect(x, y + 1 + i * 4, 12, 2);
+        }
+    }
     paintSoundIcon(canvas, x, y) {
         const ctx = canvas.getContext('2d');
         ctx.fillStyle = this.fgColor;
@@ -235,27 +254,207 @@ class SettingsSprite extends Sprite {
             ctx.stroke();
         }
     }
+    /**
+     * Paint a slider for each volume channel, filled to its level
+     */
+    paintVolumeIcon(canvas, x, y) {
+        const ctx = canvas.getContext('2d');
+        const settings = this.game.settings;
+        ctx.fillStyle = this.fgColor;
+        ctx.strokeStyle = this.fgColor;
+        for (let i = 0; i < Mixer.Channels.length; i++) {
+            const left = x + i * SettingsSprite.SliderSpacing;
+            const height = Math.round(settings.get(Mixer.Channels[i] + 'Volume') / 100 * 12);
+            ctx.strokeRect(left + 0.5, y + 0.5, SettingsSprite.SliderWidth - 1, 11);
+            ctx.fillRect(left, y + 12 - height, SettingsSprite.SliderWidth, height);
+        }
+    }
+    /**
+     * Find the volume slider at the given canvas position, in the volume item
+     * @returns {{channel: string, volume: number}} Its channel and the volume
+     *     for that height, in percent, or null if there is no slider there
+     */
+    volumeAt(x, y) {
+        const left = this.itemLeft('volume');
+        const top = this.itemTop();
+        const i = Math.floor((x - left) / SettingsSprite.SliderSpacing);
+        if (i < 0 || i >= Mixer.Channels.length || x - left - i * SettingsSprite.SliderSpacing >= SettingsSprite.SliderWidth) {
+            return null;
+        }
+        const volume = Math.round((top + 12 - y) / 12 * 10) * 10;
+        return {channel: Mixer.Channels[i], volume: Math.min(100, Math.max(0, volume))};
+    }
+    /**
+     * Paint the edge mode: a solid box when the edges are walls, a dashed one
+     * when the worm wraps around
+     */
+    paintWrapIcon(canvas, x, y) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.fgColor;
+        ctx.strokeStyle = this.fgColor;
+        if (this.game.wrap) {
+            ctx.setLineDash([2, 2]);
+        }
+        ctx.strokeRect(x + 0.5, y + 0.5, 11, 11);
+        ctx.setLineDash([]);
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.game.wrap ? 'Wrap' : 'Walls', x + 16, y + 10);
+    }
+    /**
+     * Paint the number of players
+     */
+    paintPlayersIcon(canvas, x, y) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.fgColor;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        let text = this.game.players === 1 ? '1 Player' : this.game.players + ' Players';
+        if (this.game.opponent) {
+            text = 'vs CPU';
+        }
+        ctx.fillText(text, x, y + 10);
+    }
+    /**
+     * Paint each player's score in their worm's colour, at the right hand end
+     * of the bar
+     */
+    paintScores(canvas, y) {
+        const ctx = canvas.getContext('2d');
+        const scores = this.game.engine.state.scores;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        let x = this.x + this.width - 5;
+        for (let i = scores.length - 1; i >= 0; i--) {
+            const text = `${this.game.isCpu(i) ? 'CPU' : 'P' + (i + 1)}: ${scores[i]}`;
+            ctx.fillStyle = WormJS.Players[i].color;
+            ctx.fillText(text, x, y + 10);
+            x -= ctx.measureText(text).width + 10;
+        }
+    }
+    /**
+     * Paint the best score for the current mode at the right hand end of the
+     * bar, in a one player game
+     */
+    paintBest(canvas, y) {
+        const best = this.game.highScores.best(this.game.mode);
+        if (best > 0) {
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = this.fgColor;
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillText('Best: ' + best, this.x + this.width - 5, y + 10);
+        }
+    }
+    /**
+     * Paint the name of the level the game starts on
+     */
+    paintLevelIcon(canvas, x, y) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.fgColor;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText('Level: ' + (this.game.levelName || 'Classic'), x, y + 10);
+    }
+    /**
+     * Paint the difficulty new games start on
+     */
+    paintDifficultyIcon(canvas, x, y) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.fgColor;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(Difficulty.find(this.game.difficulty).label, x, y + 10);
+    }
     paint(canvas) {
         this.paintBackground(canvas);
-        const x = this.x + 5;
-        const y = this.y + ((this.height / 2) - 6)
-        this.paintSoundIcon(canvas, x, y);
+        let x = this.x + 5;
+        const y = this.itemTop();
+        for (let i = 0; i < SettingsSprite.Items.length; i++) {
+            const item = SettingsSprite.Items[i];
+            this[item.paint](canvas, x, y);
+            x += item.width;
+        }
+        if (this.game.players > 1) {
+            this.paintScores(canvas, y);
+        } else {
+            this.paintBest(canvas, y);
+        }
+    }
+    /**
+     * The top of the items, which are 12 pixels high
+     */
+    itemTop() {
+        return this.y + ((this.height / 2) - 6);
+    }
+    /**
+     * The left edge of an item
+     * @param {string} name The name of one of SettingsSprite.Items
+     */
+    itemLeft(name) {
+        let left = this.x + 5;
+        for (let i = 0; i < SettingsSprite.Items.length && SettingsSprite.Items[i].name !== name; i++) {
+            left += SettingsSprite.Items[i].width;
+        }
+        return left;
+    }
+    /**
+     * Find the setting painted at the given canvas position
+     * @returns The name of one of SettingsSprite.Items, or null if there is none there
+     */
+    itemAt(x, y) {
+        if (y < this.y || y >= this.y + this.height) {
+            return null;
+        }
+        let left = this.x + 5;
+        for (let i = 0; i < SettingsSprite.Items.length; i++) {
+            const item = SettingsSprite.Items[i];
+            if (x >= left && x < left + item.width) {
+                return item.name;
+            }
+            left += item.width;
+        }
+        return null;
     }
 }
 
+/** The settings in the order they are painted, with the method that paints each and its width */
+SettingsSprite.Items = [
+    {name: 'settings', paint: 'paintSettingsIcon', width: 20},
+    {name: 'sound', paint: 'paintSoundIcon', width: 25},
+    {name: 'volume', paint: 'paintVolumeIcon', width: 30},
+    {name: 'wrap', paint: 'paintWrapIcon', width: 50},
+    {name: 'level', paint: 'paintLevelIcon', width: 80},
+    {name: 'players', paint: 'paintPlayersIcon', width: 55},
+    {name: 'difficulty', paint: 'paintDifficultyIcon', width: 45}
+];
+
+/** The width of each volume slider and the distance from one to the next */
+SettingsSprite.SliderWidth = 6;
+SettingsSprite.SliderSpacing = 9;
+
 class PopoverSprite extends Sprite {
-    constructor(x, y, width, height, textArr = []) {
+    /**
+     * @param {string[]} textArr A title, then one line per entry
+     * @param {number} fontSize The size of the lines in pixels, the title is
+     *     twice as big.  Defaults to a twentieth of the canvas width.
+     */
+    constructor(x, y, width, height, textArr = [], fontSize = null) {
         super(x, y, width, height, '#ffffff', 1);
         this.textArr = textArr;
+        this.fontSize = fontSize;
     }
-    paint(canvas) {
-        var ctx = canvas.getContext('2d');
+    paintBackground(ctx) {
         ctx.fillStyle = '#cccccc';
         ctx.globalAlpha = 0.5;
         ctx.fillRect(this.x, this.y, this.width, this.height);
         ctx.globalAlpha = 1.0;
+    }
+    paint(canvas) {
+        var ctx = canvas.getContext('2d');
+        this.paintBackground(ctx);
         ctx.fillStyle = '#000000';
-        var px = canvas.width / 20;
+        var px = this.fontSize || canvas.width / 20;
         var x = canvas.width / 2;
         var lineHeight = px * 1.2;
         var textHeight = lineHeight * this.textArr.length;
@@ -272,220 +471,758 @@ class PopoverSprite extends Sprite {
     }
 }
 
+/** Lists the controls, with whichever keys are bound to them */
 class HelpSprite extends PopoverSprite {
-    constructor(x, y, width, height) {
-        super(x, y, width, height, ['Help', ' ', 'Up/Down/Left/Right: Move Worm', 'Space: Pause/Resume', 'D: Enable/Disable Debug', 'S: Mute/Unmute']);
+    /**
+     * @param {KeyBindings} bindings The key bindings to list
+     */
+    constructor(x, y, width, height, bindings) {
+        super(x, y, width, height, [], HelpSprite.FontSize);
+        this.bindings = bindings;
+        this.players = 1;
+    }
+    paint(canvas) {
+        this.textArr = ['Help'].concat(this.bindings.helpLines(this.players), ['Touch: Swipe to Move, Tap to Pause']);
+        super.paint(canvas);
+    }
+}
+
+/** Small enough for every line of help to fit */
+HelpSprite.FontSize = 13;
+
+/** The key binding screen: every action and its keys, for a KeyBindingsEditor */
+class KeyBindingsSprite extends PopoverSprite {
+    /**
+     * @param {KeyBindingsEditor} editor
+     */
+    constructor(x, y, width, height, editor) {
+        super(x, y, width, height);
+        this.editor = editor;
+    }
+    paint(canvas) {
+        const ctx = canvas.getContext('2d');
+        const bindings = this.editor.bindings;
+        this.paintBackground(ctx);
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.font = '16px Arial';
+        ctx.fillText('Keys: ' + KeyBindings.Profiles[bindings.profile].description, this.x + this.width / 2, this.y + 18);
+        ctx.font = '10px Arial';
+        // two columns, so that every action fits
+        const rows = Math.ceil(KeyBindings.Actions.length / 2);
+        const columnWidth = (this.width - 20) / 2;
+        const top = this.y + 34;
+        for (let i = 0; i < KeyBindings.Actions.length; i++) {
+            const action = KeyBindings.Actions[i];
+            const left = this.x + 10 + Math.floor(i / rows) * columnWidth;
+            const y = top + (i % rows) * 11;
+            if (i === this.editor.selected) {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(left, y - 9, columnWidth, 11);
+                ctx.fillStyle = '#000000';
+            }
+            ctx.textAlign = 'left';
+            ctx.fillText(action.description, left + 5, y);
+            ctx.textAlign = 'right';
+            const keys = i === this.editor.selected && this.editor.waiting ? 'Press a key...' : bindings.describe(action.name);
+            ctx.fillText(keys, left + columnWidth - 5, y);
+        }
+        ctx.textAlign = 'center';
+        let y = top + rows * 11 + 4;
+        for (let i = 0; i < KeyBindingsEditor.Help.length; i++) {
+            ctx.fillText(KeyBindingsEditor.Help[i], this.x + this.width / 2, y);
+            y += 11;
+        }
     }
 }
 
 class GameOverSprite extends PopoverSprite {
-    constructor(x, y, width, height, score = 0) {
-        super(x, y, width, height, ['Game Over', '', ' ', 'Space: Restart'])
+    constructor(x, y, width, height, score = 0, title = 'Game Over') {
+        super(x, y, width, height, [title, '', ' ', 'Space: Restart'])
+        this.title = title;
         this.score = score;
+        /** The InitialsEntry to prompt with when it is open */
+        this.entry = null;
+    }
+    paint(canvas) {
+        if (this.entry && this.entry.isOpen) {
+            this.textArr = this.textArr.slice(0, 2).concat([`New High Score! #${this.entry.rank + 1}`,
+                'Initials: ' + this.entry.initials + '_', 'Enter: Save']);
+        } else {
+            this.textArr = this.textArr.slice(0, 2).concat([' ', 'Space: Restart']);
+        }
+        super.paint(canvas);
     }
     set score(score) {
+        this.textArr[0] = this.title;
         this.textArr[1] = 'Score: ' + score;
     }
+    /**
+     * Announce the winner of a two player game
+     * @param {string} winner The winning player's name, or null for a draw
+     * @param {string[]} scores Each player's score
+     */
+    announce(winner, scores) {
+        this.textArr[0] = winner === null ? 'Draw!' : winner + ' Wins!';
+        this.textArr[1] = scores.join('  ');
+    }
 }
 
-/** A Sprite that can move.  Moves one position in the object's direction every frame. */
-class MovingSprite extends Sprite {
-    constructor(direction = MovingSprite.Direction.NONE, x = 0, y = 0, color = '#000000', scale = 1) {
-        super(x, y, 1, 1, color, scale);
-        this.direction = direction;
+/** Shown when the worm has filled the whole board */
+class WinSprite extends GameOverSprite {
+    constructor(x, y, width, height, score = 0) {
+        super(x, y, width, height, score, 'You Win!');
     }
-    frame() {
-        super.frame();
-        this.move();
+}
+
+/** The settings panel: every setting and its value, for a SettingsPanel */
+class SettingsPanelSprite extends PopoverSprite {
+    /**
+     * @param {SettingsPanel} panel
+     */
+    constructor(x, y, width, height, panel) {
+        super(x, y, width, height);
+        this.panel = panel;
     }
-    /** 
-     * Move is called every frame and is intended to move the Sprite by 1 position
-    */
-    move() {
-        // move in the right direction
-        this.x += this.direction.x * this.scale;
-        this.y += this.direction.y * this.scale;
+    paint(canvas) {
+        const ctx = canvas.getContext('2d');
+        const settings = this.panel.settings;
+        this.paintBackground(ctx);
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.font = '16px Arial';
+        ctx.fillText('Settings', this.x + this.width / 2, this.y + 18);
+        ctx.font = '12px Arial';
+        for (let i = 0; i < Settings.Definitions.length; i++) {
+            const definition = Settings.Definitions[i];
+            const y = this.rowTop(i);
+            if (i === this.panel.selected) {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(this.x + 10, y, this.width - 20, SettingsPanelSprite.RowHeight);
+                ctx.fillStyle = '#000000';
+            }
+            ctx.textAlign = 'left';
+            ctx.fillText(definition.label, this.x + 20, y + 12);
+            ctx.textAlign = 'right';
+            ctx.fillText(settings.describe(definition.name), this.x + this.width - 20, y + 12);
+        }
+        ctx.textAlign = 'center';
+        ctx.font = '10px Arial';
+        ctx.fillText(SettingsPanel.Help, this.x + this.width / 2, this.y + this.height - 8);
+    }
+    rowTop(row) {
+        return this.y + 28 + row * SettingsPanelSprite.RowHeight;
+    }
+    /**
+     * Find the setting painted at the given canvas position
+     * @returns Its index in Settings.Definitions, or -1
+     */
+    rowAt(x, y) {
+        if (x < this.x + 10 || x >= this.x + this.width - 10) {
+            return -1;
+        }
+        const row = Math.floor((y - this.rowTop(0)) / SettingsPanelSprite.RowHeight);
+        return row >= 0 && row < Settings.Definitions.length ? row : -1;
     }
 }
 
-MovingSprite.Direction = {
-    UP: {x: 0, y: -1},
-    DOWN: {x: 0, y: 1},
-    LEFT: {x: -1, y: 0},
-    RIGHT: {x: 1, y: 0},
-    NONE: {x: 0, y: 0}
-}
+SettingsPanelSprite.RowHeight = 16;
 
-class Apple extends Sprite {
-    constructor(scale, x = 0, y = 0, color = '#ff6666') {
-        super(x, y, 1, 1, color, scale);
+/** The sound effect preview screen, for trying out effects in debug mode */
+class SoundPreviewSprite extends PopoverSprite {
+    /**
+     * @param {SoundPreview} preview
+     */
+    constructor(x, y, width, height, preview) {
+        super(x, y, width, height);
+        this.preview = preview;
+    }
+    paint(canvas) {
+        const ctx = canvas.getContext('2d');
+        const names = Object.keys(SoundEffect.Presets);
+        this.paintBackground(ctx);
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.font = '16px Arial';
+        ctx.fillText('Sound Effects', this.x + this.width / 2, this.y + 18);
+        ctx.font = '12px Arial';
+        for (let i = 0; i < names.length; i++) {
+            const effect = SoundEffect.Presets[names[i]];
+            const y = this.y + 28 + i * SettingsPanelSprite.RowHeight;
+            if (i === this.preview.selected) {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(this.x + 10, y, this.width - 20, SettingsPanelSprite.RowHeight);
+                ctx.fillStyle = '#000000';
+            }
+            ctx.textAlign = 'left';
+            ctx.fillText(names[i], this.x + 20, y + 12);
+            ctx.textAlign = 'right';
+            ctx.fillText(`${effect.wave} ${effect.length.toFixed(2)}s`, this.x + this.width - 20, y + 12);
+        }
+        ctx.textAlign = 'center';
+        ctx.font = '10px Arial';
+        ctx.fillText(SoundPreview.Help, this.x + this.width / 2, this.y + this.height - 8);
     }
 }
 
-class WormPart extends Sprite {
-    constructor(scale, x = 0, y = 0, color = '#6666ff') {
-        super(x, y, 1, 1, color, scale);
+/** The high score table for one mode */
+class LeaderboardSprite extends PopoverSprite {
+    /**
+     * @param {HighScores} highScores
+     */
+    constructor(x, y, width, height, highScores) {
+        super(x, y, width, height);
+        this.highScores = highScores;
+        /** The mode whose table is shown */
+        this.mode = null;
+    }
+    paint(canvas) {
+        const ctx = canvas.getContext('2d');
+        this.paintBackground(ctx);
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.font = '16px Arial';
+        ctx.fillText('High Scores', this.x + this.width / 2, this.y + 18);
+        ctx.font = '10px Arial';
+        ctx.fillText(HighScores.describeMode(this.mode), this.x + this.width / 2, this.y + 32);
+        const table = this.highScores.table(this.mode);
+        let y = this.y + 50;
+        if (table.length === 0) {
+            ctx.fillText('No scores yet', this.x + this.width / 2, y);
+        }
+        for (let i = 0; i < table.length; i++) {
+            const entry = table[i];
+            // scores from before the tables only have initials and a score
+            const columns = [i + 1 + '.', entry.initials, entry.score, entry.length ? 'Length ' + entry.length : '',
+                entry.duration ? HighScores.formatDuration(entry.duration) : '', entry.date ? entry.date.slice(0, 10) : ''];
+            for (let j = 0; j < columns.length; j++) {
+                ctx.textAlign = j === 2 ? 'right' : 'left';
+                ctx.fillText(columns[j], this.x + LeaderboardSprite.Columns[j], y);
+            }
+            y += 14;
+        }
+        ctx.textAlign = 'center';
+        ctx.fillText(LeaderboardSprite.Help, this.x + this.width / 2, this.y + this.height - 8);
     }
 }
 
-class Worm extends MovingSprite {
-    constructor(parts, direction = MovingSprite.Direction.RIGHT, x = 0, y = 0) {
-        super(direction, x, y);
-        this.parts = parts
-    }
+/** Where each column of the table starts, from the left of the popover */
+LeaderboardSprite.Columns = [20, 45, 110, 130, 200, 250];
 
-    move() {
-        super.move();
-        this.addHead();
+LeaderboardSprite.Help = 'Left/Right: Other Modes, Esc: Close';
+
+/** Shows the state of a replay being played back, and its controls */
+class ReplaySprite extends Sprite {
+    constructor(game, x, y) {
+        super(x, y);
+        this.game = game;
     }
 
     paint(canvas) {
-        for (let i = 0; i < this.size(); i++) {
-            this.parts[i].paint(canvas);
+        const replay = this.game.replay;
+        if (!replay) {
+            return;
+        }
+        const ctx = canvas.getContext('2d');
+        const fontSize = 8;
+        const lineHeight = fontSize * 1.2;
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'right';
+        ctx.font = `${fontSize}px Arial`;
+        let status = `Replay x${replay.speed} - frame ${this.game.engine.state.frame}`;
+        if (replay.paused) {
+            status += ' (paused)';
         }
+        ctx.fillText(status, this.x, this.y - lineHeight);
+        ctx.fillText('Space: Pause  Right: Step  +/-: Speed  Esc: Exit', this.x, this.y);
     }
+}
 
-    addHead() {
-        let newPart = new WormPart(this.getHead().scale, this.x, this.y);
-        this.parts.push(newPart);
-        return newPart;
+/**
+ * The strip along the bottom of the board showing each worm's power-up
+ * effects and the seconds they have left
+ */
+class EffectsSprite extends Sprite {
+    constructor(game, x, y) {
+        super(x, y);
+        this.game = game;
     }
 
-    getHead() {
-        return this.parts[this.size() - 1];
+    paint(canvas) {
+        const engine = this.game.engine;
+        const ctx = canvas.getContext('2d');
+        ctx.textAlign = 'left';
+        ctx.font = '9px Arial';
+        let x = this.x;
+        for (let player = 0; player < engine.state.worms.length; player++) {
+            const effects = engine.effectsOf(player);
+            for (let i = 0; i < effects.length; i++) {
+                const seconds = Math.ceil((effects[i].expires - engine.state.frame) / engine.speed());
+                let text = `${PowerUp.describe(effects[i])} ${seconds}s`;
+                if (engine.state.worms.length > 1) {
+                    text = this.game.playerName(player) + ': ' + text;
+                }
+                ctx.fillStyle = effects[i].type.color;
+                ctx.fillText(text, x, this.y);
+                x += ctx.measureText(text).width + 10;
+            }
+        }
     }
+}
 
-    size() {
-        return this.parts.length;
+/** Shown over the attract mode demo game */
+class DemoSprite extends Sprite {
+    constructor(game, x, y) {
+        super(x, y);
+        this.game = game;
     }
 
-    removeTail() {
-        return this.parts.shift();
+    paint(canvas) {
+        if (!this.game.demo) {
+            return;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.font = '12px Arial';
+        ctx.fillText('Demo - press any key to play', this.x, this.y);
     }
-
 }
 
-Worm.StartingWorm = new Worm([new WormPart(10, 10), new WormPart(11, 10), new WormPart(12, 10)], MovingSprite.Direction.RIGHT, 10, 10);
-
-/** A collection of sounds that can be played */
-class GameSounds {
-    constructor() {
-        this.playingMusic = false;
-        this.bgMusicSound = new Pizzicato.Sound({
-            source: 'wave',
-            options: {
-                type: 'square',
-                frequency: Notes.A4
-            }
-        });
-        this.bgMusicSound.volume = 0.1;
-        this.bgMusicPulse = 20;
-        this.bgMusicBreak = 200;
-        this.soundPulse = 100;
-        this.levelUpSound = new Pizzicato.Sound({
-            source: 'wave',
-            options: {
-                frequency: Notes.D5
+/** A Sprite that can move.  Moves one position in the object's direction every frame. */
+class MovingSprite extends Sprite {
+    constructor(direction = MovingSprite.Direction.NONE, x = 0, y = 0, color = '#000000', scale = 1) {
+        super(x, y, 1, 1, color, scale);
+        this.direction = direction;
+    }
+    frame() {
+        super.frame();
+        this.move();
+    }
+    /** 
+     * Move is called every frame and is intended to move the Sprite by 1 position
+    */
+    move() {
+        // move in the right direction
+        this.x += this.direction.x * this.scale;
+        this.y += this.direction.y * this.scale;
+    }
+}
+
+MovingSprite.Direction = Direction;
+
+/**
+ * Paints the Food from the game engine, each in its type's colour.  Food that
+ * shows a countdown has the seconds it has left painted above it.
+ */
+class FoodSprite extends Sprite {
+    constructor(scale) {
+        super(0, 0, 1, 1, '#ff6666', scale);
+        this.foods = [];
+        this.gameFrame = 0;
+        this.fps = 10;
+    }
+
+    paint(canvas) {
+        for (let i = 0; i < this.foods.length; i++) {
+            const food = this.foods[i];
+            this.x = food.x;
+            this.y = food.y;
+            this.color = food.type.color;
+            super.paint(canvas);
+            if (food.type.countdown && food.expires !== null) {
+                this.paintCountdown(canvas, food);
             }
-        });
-        this.levelUpSound.volume = 0.15;
-        this.gameOverSound = new Pizzicato.Sound({
+        }
+    }
+
+    paintCountdown(canvas, food) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = food.type.color;
+        ctx.textAlign = 'center';
+        ctx.font = '8px Arial';
+        ctx.fillText(Math.ceil(food.remaining(this.gameFrame) / this.fps), (food.x + 0.5) * this.scale, food.y * this.scale - 2);
+    }
+}
+
+/** Paints the walls of a Level */
+class WallSprite extends Sprite {
+    constructor(level, scale, color = '#999999') {
+        super(0, 0, 1, 1, color, scale);
+        this.level = level;
+    }
+
+    paint(canvas) {
+        if (!this.level) {
+            return;
+        }
+        const walls = this.level.walls;
+        for (let i = 0; i < walls.length; i++) {
+            this.x = walls[i].x;
+            this.y = walls[i].y;
+            super.paint(canvas);
+        }
+    }
+}
+
+/** Paints one cell of a worm */
+class WormPart extends Sprite {
+    constructor(scale, x = 0, y = 0, color = '#6666ff') {
+        super(x, y, 1, 1, color, scale);
+    }
+}
+
+/** Paints a Worm from the game engine, one WormPart per cell */
+class WormSprite extends Sprite {
+    constructor(worm, scale, color = '#6666ff') {
+        super(worm.x, worm.y, 1, 1, color, scale);
+        this.worm = worm;
+        this.part = new WormPart(scale, 0, 0, color);
+        this.previous = null;
+    }
+
+    /**
+     * Remember where the head and tail are before a game frame moves them,
+     * so painting can glide them from there
+     */
+    remember() {
+        const parts = this.worm.parts;
+        this.previous = {
+            worm: this.worm,
+            head: {x: this.worm.x, y: this.worm.y},
+            tail: {x: parts[0].x, y: parts[0].y}
+        };
+    }
+
+    /**
+     * Paint the worm.  The head (and the cell the tail just left) are painted
+     * part way between where they were and where they are now.
+     * @param {*} canvas
+     * @param {number} alpha How far between the last game frame and the next one, from 0 to 1
+     */
+    paint(canvas, alpha = 1) {
+        const parts = this.worm.parts;
+        const previous = this.previous && this.previous.worm === this.worm ? this.previous : null;
+        for (let i = 0; i < parts.length - 1; i++) {
+            this.paintPart(canvas, parts[i]);
+        }
+        if (previous) {
+            this.paintPart(canvas, this.between(previous.tail, parts[0], alpha));
+            this.paintPart(canvas, this.between(previous.head, this.worm.getHead(), alpha));
+        } else {
+            this.paintPart(canvas, this.worm.getHead());
+        }
+    }
+
+    paintPart(canvas, cell) {
+        this.part.x = cell.x;
+        this.part.y = cell.y;
+        this.part.paint(canvas);
+    }
+
+    /**
+     * The point alpha of the way from one cell to a neighbouring one.  Cells
+     * that aren't neighbours (e.g. wrapping around the board) don't glide.
+     */
+    between(from, to, alpha) {
+        if (Math.abs(to.x - from.x) + Math.abs(to.y - from.y) !== 1) {
+            return to;
+        }
+        return {
+            x: from.x + (to.x - from.x) * alpha,
+            y: from.y + (to.y - from.y) * alpha
+        };
+    }
+}
+
+/** A collection of sounds that can be played */
+class GameSounds {
+    /**
+     * @param {Settings} settings Sounds are only played while these aren't
+     *     muted, at their volumes
+     */
+    constructor(settings = null) {
+        /** The Sequencer playing the background music, if any */
+        this.music = null;
+        /** The AudioContext the sounds are played on, or null without Web Audio */
+        this.context = Pizzicato.context || null;
+        /** The volume channels, or null without Web Audio */
+        this.mixer = this.context ? new Mixer(this.context) : null;
+        this.mute = settings ? settings.get('mute') : false;
+        if (settings) {
+            const self = this;
+            settings.addListener('mute', function (mute) {
+                self.mute = mute;
+                if (mute) {
+                    self.stopMusic();
+                }
+            });
+            Mixer.Channels.forEach(function (channel) {
+                self.setVolume(channel, settings.get(channel + 'Volume'));
+                settings.addListener(channel + 'Volume', function (volume) {
+                    self.setVolume(channel, volume);
+                });
+            });
+        }
+    }
+    /**
+     * @param {string} channel One of Mixer.Channels
+     * @param {number} volume In percent
+     */
+    setVolume(channel, volume) {
+        if (this.mixer) {
+            this.mixer.setLevel(channel, volume / 100);
+        }
+    }
+    /**
+     * Let the sounds play, once the player has done something.  Call this
+     * from every key, click and touch handler; after the first it does nothing.
+     */
+    resume() {
+        if (this.mixer) {
+            this.mixer.resume();
+        }
+    }
+    /**
+     * Play one of SoundEffect.Presets, scheduled on the audio clock, with the
+     * music ducked while it plays
+     * @param {string} name
+     * @param {boolean} force Play it even when muted, e.g. to preview it
+     */
+    effect(name, force = false) {
+        if ((this.mute && !force) || !this.mixer) {
+            return;
+        }
+        const effect = SoundEffect.Presets[name];
+        const end = effect.play(this.context, this.mixer.sfx);
+        if (effect.duck) {
+            this.mixer.duck(end);
+        }
+    }
+    bonus() {
+        this.effect('bonus');
+    }
+    shrink() {
+        this.effect('shrink');
+    }
+    slow() {
+        this.effect('slow');
+    }
+    golden() {
+        this.effect('golden');
+    }
+    powerUp() {
+        this.effect('powerUp');
+    }
+    /** Call this when a player turns */
+    turn() {
+        this.effect('turn');
+    }
+    /**
+     * A voice for one track of the background music
+     * @param {{wave: string, volume: number}} track
+     */
+    musicVoice(track) {
+        const sound = new Pizzicato.Sound({
             source: 'wave',
             options: {
-                frequency: Notes.F3
+                type: track.wave,
+                detached: this.mixer !== null
             }
         });
-        this.gameOverSound.volume = 0.15;
+        if (this.mixer) {
+            sound.connect(this.mixer.music);
+        }
+        sound.volume = track.volume;
+        return {
+            start: function (frequency) {
+                sound.frequency = frequency;
+                sound.play();
+            },
+            stop: function () {
+                sound.pause();
+            }
+        };
+    }
+    /**
+     * Switch the background music to a song, from its start.  The music
+     * plays as frame() is called.
+     * @param {Object} song One of Sequencer.Songs
+     */
+    playSong(song) {
+        if (this.music && this.music.song === song) {
+            this.music.rewind();
+            return;
+        }
+        this.stopMusic();
+        this.music = new Sequencer(song, song.tracks.map(track => this.musicVoice(track)));
+    }
+    /** Silence the background music until the next frame() */
+    stopMusic() {
+        if (this.music) {
+            this.music.stop();
+        }
     }
-    /** Call this when a game loop frame is rendered to play a short pulse sound */
+    /** Call this on every game frame that is played to move the music on */
     frame() {
-        const sound = this.bgMusicSound;
-        sound.play();
-        setTimeout(function () {
-            sound.pause();
-        }, this.bgMusicPulse);
+        if (this.mute || !this.music) {
+            return;
+        }
+        this.music.step();
     }
     /** Call this when levelling up to play the level up sound */
     levelUp() {
-        const sound = this.levelUpSound;
-        sound.play();
-        setTimeout(function () {
-            sound.pause();
-        }, this.soundPulse);
+        this.effect('eat');
+    }
+    /** Call this when a level is finished */
+    levelComplete() {
+        this.effect('levelComplete');
     }
     /** Call this when game over to play the game over sound */
     gameOver() {
-        const sound = this.gameOverSound;
-        sound.play();
-        setTimeout(function () {
-            sound.pause();
-        }, this.soundPulse);
+        this.effect('crash');
+        this.effect('death');
     }
 }
 
 
 /** 
- * An Animator is a superclass that controls game and render loops.  In this
- * animation, there are two different loops.  One is for rendering, the other
- * is for game logic.  The render loop runs as fast as the browser will run it,
- * typically 60 fps or the refresh rate of the monitor.  The game loop frames
- * per second can be specified.  Each render loop, the render(frameCount) method will
- * be called.  For each game loop, the frame(frameCount) method will be called.
+ * An Animator is a superclass that controls game and render loops.  A single
+ * loop driven by requestAnimationFrame runs as fast as the browser will run it,
+ * typically 60 fps or the refresh rate of the monitor.  Game logic runs on a
+ * fixed timestep at the given frames per second: the time since the last
+ * animation frame is added to an accumulator and the frame(frameCount) method
+ * is called once for every whole game frame in it, up to maxSteps per
+ * animation frame so that a long stall doesn't turn into a burst of catch-up
+ * frames.  Then render(frameCount, alpha) is called, where alpha (0 to 1) is
+ * how far the game is between its last frame and the next one, for smooth
+ * movement between game frames.
+ *
+ * While the page is hidden the loop is suspended, and when it comes back the
+ * time spent hidden is skipped rather than caught up on.  onHidden() and
+ * onVisible() are called when that happens.
 */
 class Animator {
-    constructor(fps = 30) {
+    constructor(fps = 30, maxSteps = 5) {
         this.fps = fps;
-        this.last = 0;
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+        this.lastTime = null;
         this.frameCount = 1;
         this.running = false;
         this.frameListeners = [];
     }
+    /**
+     * Run one game frame
+     */
     gameLoop() {
-        if (!this.running) {
-            return;
-        }
-        let now = Date.now();
-        Logger.GlobalLogger.trace('Running a game loop');
+        Logger.GlobalLogger.frame = this.frameCount;
+        Logger.get('game').trace('Running a game loop');
         this.frame(this.frameCount);
         this.frameCount += 1;
-        Logger.GlobalLogger.trace('Calling frame listeners');
+        Logger.get('game').trace('Calling frame listeners');
         for (let i = 0; i < this.frameListeners.length; i++) {
             this.frameListeners[i]();
         }
-        this.lastFrame = now;
-
-        const self = this;
-        now = Date.now();
-        const frameInterval = 1000 / this.fps;
-         // schedule the next game loop based on the current fps
-        setTimeout(function () {
-            self.gameLoop();
-        }, frameInterval);
-    }
-    renderLoop() {
+    }
+    /**
+     * Run the game frames that are due and render
+     * @param {number} time The requestAnimationFrame timestamp, in milliseconds
+     */
+    renderLoop(time) {
         if (!this.running) {
             return;
         }
-        Logger.GlobalLogger.trace('Rendering');
-        this.render(this.frameCount);
+        if (this.lastTime === null) {
+            this.lastTime = time;
+        }
+        this.poll();
+        this.accumulator += time - this.lastTime;
+        this.lastTime = time;
+        let steps = 0;
+        // the fps can change during a game frame, so the interval is recalculated each step
+        while (this.accumulator >= 1000 / this.fps && steps < this.maxSteps) {
+            this.accumulator -= 1000 / this.fps;
+            this.gameLoop();
+            steps += 1;
+        }
+        if (this.accumulator >= 1000 / this.fps) {
+            Logger.get('game').debug('Game loop fell behind, dropping ' + Math.floor(this.accumulator * this.fps / 1000) + ' frames');
+            this.accumulator = 0;
+        }
+        Logger.get('render').trace('Rendering');
+        this.render(this.frameCount, Math.min(1, this.accumulator * this.fps / 1000));
+        this.requestFrame();
+    }
+    requestFrame() {
         const self = this;
-        // requeue this method to run on the next animation frame
-        window.requestAnimationFrame(function () {
-            self.renderLoop();
+        // requeue the loop to run on the next animation frame
+        this.animationFrame = window.requestAnimationFrame(function (time) {
+            self.renderLoop(time);
         });
     }
     start() {
         this.running = true;
-        this.renderLoop();
-        this.gameLoop();
+        this.lastTime = null;
+        this.accumulator = 0;
+        if (!this.visibilityListener) {
+            const self = this;
+            this.visibilityListener = function () {
+                self.visibilityChanged();
+            };
+            document.addEventListener('visibilitychange', this.visibilityListener);
+        }
+        if (!document.hidden) {
+            this.requestFrame();
+        }
     }
     stop() {
         this.running = false;
+        window.cancelAnimationFrame(this.animationFrame);
+        if (this.visibilityListener) {
+            document.removeEventListener('visibilitychange', this.visibilityListener);
+            this.visibilityListener = null;
+        }
+    }
+    visibilityChanged() {
+        if (!this.running) {
+            return;
+        }
+        if (document.hidden) {
+            Logger.get('game').debug('Page hidden, suspending loop');
+            window.cancelAnimationFrame(this.animationFrame);
+            this.onHidden();
+        } else {
+            Logger.get('game').debug('Page visible, resuming loop');
+            // start timing afresh so the hidden time isn't played as a burst of frames
+            this.lastTime = null;
+            this.accumulator = 0;
+            window.cancelAnimationFrame(this.animationFrame);
+            this.requestFrame();
+            this.onVisible();
+        }
+    }
+    /**
+     * Called every animation frame before any game frames, to read input
+     * devices that have to be polled
+     */
+    poll() {
+        // not implemented - please override
+    }
+    onHidden() {
+        // not implemented - override to react to the page being hidden
+    }
+    onVisible() {
+        // not implemented - override to react to the page being shown again
     }
     frame(frameCount) {
         // not implemented - please override
     }
-    render(frameCount) {
+    /**
+     * @param {number} frameCount
+     * @param {number} alpha How far between the last game frame and the next one, from 0 to 1
+     */
+    render(frameCount, alpha) {
         // not implemented - please override
     }
     addFrameListener(listener) {
@@ -495,276 +1232,1207 @@ class Animator {
 
 
 class WormJS extends Animator {
-    constructor(canvas, scale = 5, speed = 10) {
+    /**
+     * @param {*} canvas The canvas to paint the game on
+     * @param {number} scale The size of one board cell in pixels
+     * @param {number} speed The starting frames per second, or null for the difficulty's
+     * @param {{seed: number, random: SeededRandom, wrap: boolean, level: string, players: number,
+     *     opponent: string, difficulty: string, cpu: string, demo: string, food: boolean,
+     *     gamepad: Object, storage: Object}} options
+     *     seed replays a particular game, random replaces the random number generator entirely,
+     *     food set to true brings out the other kinds of food besides apples,
+     *     wrap, level, players, opponent ('cpu' or 'human') and difficulty override the saved settings,
+     *     cpu and demo name the AIStrategy for the computer opponent and the attract mode demo
+     *     (false for no demo), gamepad holds the GamepadControls options, storage is where settings and
+     *     scores are kept (see storage.js, defaults to localStorage)
+     */
+    constructor(canvas, scale = 5, speed = null, options = {}) {
         super(speed);
-        this.resetFps = speed;
         this.canvas = canvas;
         this.scale = scale;
         this.width = canvas.width;
         this.height = canvas.height;
-        this.scale = scale;
 
         this.board = {
             width: canvas.width,
             height: canvas.height - 20
         }
 
+        this.storage = GameStorage.migrate(options.storage || GameStorage.create());
+        this.settings = Settings.load(this.storage);
+        this.settings.override({
+            wrap: options.wrap,
+            level: options.level,
+            players: options.players,
+            opponent: options.opponent,
+            difficulty: options.difficulty,
+            food: options.food
+        });
+        this.settingsPanel = new SettingsPanel(this.settings);
+        this.engine = new GameEngine(Math.floor(this.board.width / scale), Math.floor(this.board.height / scale), {
+            speed: speed,
+            difficulty: this.settings.get('difficulty'),
+            seed: options.seed,
+            random: options.random,
+            wrap: this.settings.get('wrap'),
+            level: this.settings.get('level'),
+            players: this.settings.get('players'),
+            food: this.settings.get('food')
+        });
+
         this.background = new BackgroundSprite(this.board.width, this.board.height);
         this.gameOverText = new GameOverSprite(10, 10, this.board.width - 20, this.board.height - 20);
-        this.helpText = new HelpSprite(10, 10, this.board.width - 20, this.board.height - 20);
+        this.winText = new WinSprite(10, 10, this.board.width - 20, this.board.height - 20);
+        this.bindings = KeyBindings.load(this.storage);
+        this.bindingsEditor = new KeyBindingsEditor(this.bindings);
+        this.helpText = new HelpSprite(10, 10, this.board.width - 20, this.board.height - 20, this.bindings);
+        this.bindingsText = new KeyBindingsSprite(10, 10, this.board.width - 20, this.board.height - 20, this.bindingsEditor);
         this.hudText = new HUDSprite(this, 5, 5);
+        this.logText = new LogConsoleSprite(0, this.board.height - 60, this.board.width, 60, Logger.Recent);
+        this.replayText = new ReplaySprite(this, this.board.width - 5, this.board.height - 5);
         this.settingsBar = new SettingsSprite(this, 0, this.board.height, this.board.width, this.height - this.board.height);
-        this.gameState = WormJS.GameState.PAUSED;
-        this.timer = new FPSTimer();
-        this.debug = false;
-        this.mute = true;
-        this.highScore = localStorage.getItem('highScore');
-
-        this.sounds = new GameSounds();
-
-        this.reset();
-    }
-
-    start() {
-        Logger.GlobalLogger.info('Starting WormJS');
+        this.settingsText = new SettingsPanelSprite(10, 10, this.board.width - 20, this.board.height - 20, this.settingsPanel);
+        this.soundPreview = new SoundPreview();
+        this.soundsText = new SoundPreviewSprite(10, 10, this.board.width - 20, this.board.height - 20, this.soundPreview);
+        this.wormSprites = WormJS.Players.map(player => new WormSprite(this.worm, scale, player.color));
+        this.foodSprite = new FoodSprite(scale);
+        this.wallSprite = new WallSprite(null, scale);
         this.timer = new FPSTimer();
-        this.timer.start();
-        super.start();
-        Logger.GlobalLogger.debug('WormJS Started');
-    }
-
-    processKeys() {
-        Logger.GlobalLogger.trace('Processing key presses');
-        while (this.movementQueue.length > 0) {
-            let mvmt = this.movementQueue.shift();
-            Logger.GlobalLogger.trace('Processing key press ' + JSON.stringify(mvmt));
-            // skip key presses that are same or opposite direction
-            if ((this.worm.direction === MovingSprite.Direction.LEFT || this.worm.direction === MovingSprite.Direction.RIGHT) &&
-                (mvmt === MovingSprite.Direction.LEFT || mvmt === MovingSprite.Direction.RIGHT)) {
-                    Logger.GlobalLogger.trace('Skipping key press');
-                    continue;
-            }
-            if ((this.worm.direction === MovingSprite.Direction.UP || this.worm.direction === MovingSprite.Direction.DOWN) &&
-                (mvmt === MovingSprite.Direction.UP || mvmt === MovingSprite.Direction.DOWN)) {
-                    Logger.GlobalLogger.trace('Skipping key press');
-                    continue;
-            }
-            Logger.GlobalLogger.trace('Accepting key press');
-            this.worm.direction = mvmt;
-            break;
-        }
-        Logger.GlobalLogger.trace('Done processing keys');
-    }
-
-    render(frameCount) {
-        Logger.GlobalLogger.trace('Painting');
-        this.background.paint(this.canvas);
-        if (this.debug) {
-            Logger.GlobalLogger.trace('Debugging, painting debug HUD text');
-            this.hudText.paint(this.canvas);
-        }
-        this.worm.paint(this.canvas);
-        this.apple.paint(this.canvas);
-        if (this.gameState === WormJS.GameState.PAUSED) {
-            Logger.GlobalLogger.trace('Pause, painting help text');
-            this.helpText.paint(this.canvas);
-        }
-        if (this.gameState === WormJS.GameState.GAMEOVER) {
-            Logger.GlobalLogger.trace('Game Over, painting game over text');
-            this.gameOverText.paint(this.canvas);
-        }
-        this.settingsBar.paint(this.canvas);
+        this.highScores = HighScores.load(this.storage);
+        this.initialsEntry = new InitialsEntry(this.storage.getItem('initials') || '');
+        this.gameOverText.entry = this.initialsEntry;
+        this.winText.entry = this.initialsEntry;
+        this.scoresText = new LeaderboardSprite(10, 10, this.board.width - 20, this.board.height - 20, this.highScores);
+        this.showingScores = false;
+        /** The table entry for the game just ended, while its initials are typed */
+        this.newScore = null;
+
+        this.sounds = new GameSounds(this.settings);
+        this.gamepads = new GamepadControls(this, options.gamepad);
+
+        this.movementQueues = WormJS.Players.map(player => []);
+        this.recorder = new ReplayRecorder(this.engine);
+        this.replay = null;
+
+        this.cpuStrategy = options.cpu || 'path';
+        this.opponent = null;
+        this.useOpponent();
+        this.demoStrategy = options.demo !== undefined ? options.demo : 'path';
+        this.demo = null;
+        this.idleTime = 0;
+        this.demoText = new DemoSprite(this, this.board.width / 2, 20);
+        this.effectsText = new EffectsSprite(this, 5, this.board.height - 5);
+        this.listen();
+        this.sounds.playSong(Sequencer.songFor(this.engine.state.level && this.engine.state.level.name));
+        this.watchSettings();
+        this.useTheme(this.settings.get('theme'));
+        this.fitBoard();
+        this.updateFps();
     }
 
-    frame(frameCount) {
-        Logger.GlobalLogger.trace('Starting game frame');
-        this.timer.frame();
-        this.processKeys();
-        if (this.gameState === WormJS.GameState.PLAYING) {
-            if (!this.mute && this.frameCount % 4 == 0) {
-                this.sounds.frame();
-            }
-
-            Logger.GlobalLogger.trace('Playing game: Calling movement frames');
-            this.apple.frame();
-            this.worm.frame();
-            Logger.GlobalLogger.trace('Detecting collisions');
-            // detect a collision with the apple
-            if (this.worm.isCollision(this.apple)) {
-                Logger.GlobalLogger.debug('Detected collision with apple');
-                this.levelUp();
-            } else {
-                this.worm.removeTail();
+    /**
+     * Register the views that react to game engine events
+     */
+    listen() {
+        const self = this;
+        this.engine.addListener('levelUp', function (state, player, food) {
+            if (self.sounds[food.type.sound]) {
+                self.sounds[food.type.sound]();
             }
-            // detect a collision with self
-            for (let i = 0; i < this.worm.size() - 1; i++) {
-                Logger.GlobalLogger.trace('Checking for collision with part ' + i);
-                let part = this.worm.parts[i];
-                if (part.isCollision(this.worm)) {
-                    Logger.GlobalLogger.debug('Detected collision with self');
-                    this.gameOver();
-                }
+            self.updateFps();
+        });
+        this.engine.addListener('gameOver', function (state) {
+            self.sounds.gameOver();
+            self.showResult(self.gameOverText, state);
+            self.recordScore(state);
+        });
+        this.engine.addListener('win', function (state) {
+            self.showResult(self.winText, state);
+            self.recordScore(state);
+        });
+        this.engine.addListener('powerUp', function (state) {
+            self.updateFps();
+        });
+        this.engine.addListener('powerDown', function (state) {
+            self.updateFps();
+        });
+        this.engine.addListener('turn', function (state, direction, player) {
+            if (!self.isCpu(player) && !self.replay) {
+                self.sounds.turn();
             }
-            // detect a collision with the wall
-            if (this.worm.x < 0 || 
-                    this.worm.y < 0 || 
-                    this.worm.x >= this.board.width / this.scale || 
-                    this.worm.y >= this.board.height / this.scale) {
-                Logger.GlobalLogger.debug('Detected collision with wall');
-                this.gameOver();
+        });
+        this.engine.addListener('levelComplete', function (state) {
+            self.sounds.levelComplete();
+            self.sounds.playSong(Sequencer.songFor(state.level.name));
+            self.clearMovement();
+            self.fitBoard();
+        });
+        this.engine.addListener('stateChange', function (state, gameState) {
+            // the music only plays while the game does
+            if (gameState !== WormJS.GameState.PLAYING) {
+                self.sounds.stopMusic();
             }
-        }
-        
+        });
+        this.engine.addListener('reset', function (state) {
+            self.sounds.playSong(Sequencer.songFor(state.level && state.level.name));
+            self.clearMovement();
+            self.updateFps();
+            self.fitBoard();
+        });
     }
 
-    levelUp() {
-        if (!this.mute) {
-            this.sounds.levelUp();
-        }
-        Logger.GlobalLogger.info('Level Up!');
-        this.apple = this.randomApple();
-        this.score += 1;
-        this.fps += .5;
-        let highScore = localStorage.getItem('highScore');
-        if (this.score > highScore) {
-            localStorage.setItem('highScore', this.score);
+    /**
+     * Put the score, or the winner of a two player game, on a game over screen
+     * @param {GameOverSprite} sprite
+     */
+    showResult(sprite, state) {
+        if (state.worms.length > 1) {
+            sprite.announce(state.winner === null ? null : this.playerName(state.winner),
+                state.scores.map((score, player) => this.playerName(player) + ': ' + score));
+        } else {
+            sprite.score = state.score;
         }
-        Logger.GlobalLogger.debug('New Score: ' + this.score);
-        Logger.GlobalLogger.debug('New FPS: ' + this.fps);
-        Logger.GlobalLogger.debug('New Apple: (' + this.apple.x + ', ' + this.apple.y + ')');
     }
 
-    gameOver() {
-        if (!this.mute) {
-            this.sounds.gameOver();
+    /**
+     * Put a finished one player game in the high score table and, if it got
+     * in, ask for the player's initials.  It is saved straight away with the
+     * last initials used, in case they are never typed.
+     */
+    recordScore(state) {
+        if (this.replay || this.players !== 1) {
+            return;
+        }
+        const entry = {
+            initials: this.initialsEntry.value,
+            score: state.score,
+            length: state.worm.size(),
+            duration: state.time,
+            date: new Date().toISOString(),
+            seed: state.seed
+        };
+        const rank = this.highScores.add(this.mode, entry);
+        if (rank < 0) {
+            return;
         }
-        Logger.GlobalLogger.info("Game Over!");
-        this.gameState = WormJS.GameState.GAMEOVER;
-        this.gameOverText.score = this.score;
+        Logger.get('game').info('New high score', {score: state.score, rank: rank + 1, mode: this.mode});
+        this.highScores.save(this.storage);
+        this.newScore = entry;
+        this.initialsEntry.open(rank);
     }
 
-    reset() {
-        Logger.GlobalLogger.info('Resetting Game');
-        this.movementQueue = [];
-        this.score = 0;
-        this.fps = this.resetFps;
-        this.worm = this.newWorm(10, 10);
-        this.apple = this.randomApple();
-        Logger.GlobalLogger.trace('New Score: ' + this.score);
-        Logger.GlobalLogger.trace('New FPS: ' + this.fps);
-        Logger.GlobalLogger.debug('New Apple: (' + this.apple.x + ', ' + this.apple.y + ')');
+    /**
+     * Save the initials typed in for the new high score
+     */
+    saveInitials() {
+        this.initialsEntry.close();
+        this.newScore.initials = this.initialsEntry.value;
+        this.newScore = null;
+        this.highScores.save(this.storage);
+        this.storage.setItem('initials', this.initialsEntry.initials);
     }
 
-    pause() {
-        Logger.GlobalLogger.info('Pausing Game');
-        this.gameState = WormJS.GameState.PAUSED;
+    /**
+     * Pause the game and show the high score table for the current mode
+     */
+    showScores() {
+        if (this.gameState === WormJS.GameState.PLAYING) {
+            this.pause();
+        }
+        this.scoresText.mode = this.mode;
+        this.showingScores = true;
     }
 
-    resume() {
-        Logger.GlobalLogger.info('Resuming Game');
-        this.gameState = WormJS.GameState.PLAYING;
-    }
-
-    randomApple() {
-        Logger.GlobalLogger.trace('Creating a new random apple');
-        let x = Math.floor(Math.random() * (this.board.width / this.scale));
-        let y = Math.floor(Math.random() * (this.board.height / this.scale));
-        Logger.GlobalLogger.trace('New apple position: (' + x + ', ' + y + ')')
-        return new Apple(this.scale, x, y);
-    }
-
-    newWorm(x, y) {
-        Logger.GlobalLogger.trace('Creating a new worm');
-        let parts = [
-            new WormPart(this.scale, x - 2, y), // tail
-            new WormPart(this.scale, x - 1, y),
-            new WormPart(this.scale, x, y), // head
-        ];
-        let worm = new Worm(parts, MovingSprite.Direction.RIGHT, x, y);
-        return worm;
-    }
-
-    keyDown(key) {
-        Logger.GlobalLogger.debug('Handling key press: ' + key);
-        switch(key) {
-            case 'd':
-            case 'KeyD':
-                this.onDKey();
-                break;
-            case 's':
-            case 'KeyS':
-                this.onSKey();
-                break;
-            case 'ArrowLeft':
-                this.onLeftKey();
-                break;
-             case 'ArrowRight':
-                this.onRightKey();
-                break;
-            case 'ArrowUp':
-                this.onUpKey();
+    /**
+     * Carry out an action while the high score table is shown: left and
+     * right go through the modes that have scores, anything else closes it
+     */
+    scoresAction(action) {
+        const modes = this.highScores.modes();
+        if (modes.indexOf(this.mode) < 0) {
+            modes.push(this.mode);
+        }
+        const index = modes.indexOf(this.scoresText.mode);
+        switch(action) {
+            case 'left':
+                this.scoresText.mode = modes[(index + modes.length - 1) % modes.length];
                 break;
-            case 'ArrowDown':
-                this.onDownKey();
+            case 'right':
+                this.scoresText.mode = modes[(index + 1) % modes.length];
                 break;
-            case ' ':
-            case 'Space':
-                this.onSpaceKey();
+            case 'pause':
+            case 'scores':
+            case 'exit':
+                this.showingScores = false;
                 break;
         }
     }
 
-    onLeftKey() {
-        Logger.GlobalLogger.trace('Handling left arrow key press');
-        this.movementQueue.push(MovingSprite.Direction.LEFT);
+    /**
+     * @returns The high scores as JSON, to keep or to take to another browser
+     */
+    exportScores() {
+        return JSON.stringify(this.highScores);
     }
 
-    onRightKey() {
-        Logger.GlobalLogger.trace('Handling right arrow key press');
-        this.movementQueue.push(MovingSprite.Direction.RIGHT);
+    /**
+     * Render a sound effect to a WAV file
+     * @param {string} name One of SoundEffect.Presets, defaults to the one
+     *     chosen on the sound effect preview screen
+     * @returns {Promise<ArrayBuffer>}
+     */
+    exportSound(name = this.soundPreview.name) {
+        return OfflineRenderer.effect(SoundEffect.Presets[name]).then(Wav.encode);
     }
 
-    onUpKey() {
-        Logger.GlobalLogger.trace('Handling up left arrow key press');
-        this.movementQueue.push(MovingSprite.Direction.UP);
+    /**
+     * Add high scores exported with exportScores() to the tables
+     * @param {string} text
+     * @returns The number of scores that got in
+     */
+    importScores(text) {
+        const added = this.highScores.merge(HighScores.parse(text));
+        Logger.get('game').info(`Imported ${added} high scores`);
+        this.highScores.save(this.storage);
+        return added;
     }
 
-    onDownKey() {
-        Logger.GlobalLogger.trace('Handling down arrow key press');
-        this.movementQueue.push(MovingSprite.Direction.DOWN);
+    /**
+     * @returns What a player is called: their name, or CPU for the computer
+     */
+    playerName(player) {
+        return this.isCpu(player) ? 'CPU' : WormJS.Players[player].name;
     }
 
-    onSpaceKey() {
-        Logger.GlobalLogger.trace('Handling spacebar key press');
-        Logger.GlobalLogger.trace('Current game state: ' + JSON.stringify(this.gameState));
-        switch(this.gameState) {
-            case WormJS.GameState.PLAYING:
-                this.pause();
-                break;
-            case WormJS.GameState.GAMEOVER:
-                this.reset();
-            case WormJS.GameState.PAUSED:
-                this.resume();
-                break;
-        }
+    isCpu(player) {
+        return this.opponent !== null && this.opponent.player === player;
     }
 
-    onDKey() {
-        Logger.GlobalLogger.debug('Toggling debug status');
-        this.debug = !this.debug;
+    /**
+     * The number of players at the keyboard
+     */
+    get humanPlayers() {
+        return this.opponent ? this.players - 1 : this.players;
     }
 
-    onSKey() {
-        Logger.GlobalLogger.debug('Toggling mute status');
-        this.mute = !this.mute;
+    /**
+     * Forget every direction waiting to be taken
+     */
+    clearMovement() {
+        for (let i = 0; i < this.movementQueues.length; i++) {
+            this.movementQueues[i] = [];
+        }
     }
 
-}
+    /**
+     * Size the cells so the engine's board fills as much of the canvas as it can
+     */
+    fitBoard() {
+        const board = this.engine.board;
+        this.scale = Math.max(1, Math.floor(Math.min(this.board.width / board.width, this.board.height / board.height)));
+        for (let i = 0; i < this.wormSprites.length; i++) {
+            this.wormSprites[i].scale = this.scale;
+            this.wormSprites[i].part.scale = this.scale;
+        }
+        this.foodSprite.scale = this.scale;
+        this.wallSprite.scale = this.scale;
+    }
+
+    /**
+     * Run the game loop at the engine's speed, adjusted for replay speed
+     */
+    updateFps() {
+        this.fps = this.engine.speed() * (this.replay ? this.replay.speed : 1);
+    }
+
+    /**
+     * @returns The game played so far, as replay JSON
+     */
+    exportReplay() {
+        return this.recorder.export();
+    }
+
+    /**
+     * Start playing back a replay in place of the current game
+     * @param {string|object} replay A replay, or the JSON text of one
+     */
+    loadReplay(replay) {
+        Logger.get('game').info('Loading replay');
+        this.wake();
+        if (this.replay) {
+            // leave the one playing first, so the new one keeps the player's own options to go back to
+            this.stopReplay();
+        }
+        this.replay = new ReplayPlayer(this.engine, replay);
+        this.clearMovement();
+        this.updateFps();
+    }
+
+    /**
+     * Leave the replay and go back to a new, paused game
+     */
+    stopReplay() {
+        Logger.get('game').info('Leaving replay');
+        this.replay.stop();
+        this.replay = null;
+        this.reset();
+        this.pause();
+    }
+
+    get gameState() {
+        return this.engine.state.gameState;
+    }
+
+    get score() {
+        return this.engine.state.score;
+    }
+
+    get seed() {
+        return this.engine.state.seed;
+    }
+
+    get wrap() {
+        return this.engine.options.wrap;
+    }
+
+    get levelName() {
+        return this.engine.options.level;
+    }
+
+    /**
+     * The name of the Difficulty new games start on
+     */
+    get difficulty() {
+        return this.engine.options.difficulty;
+    }
+
+    get players() {
+        return this.engine.options.players;
+    }
+
+    get mute() {
+        return this.settings.get('mute');
+    }
+
+    get debug() {
+        return this.settings.get('debug');
+    }
+
+    /**
+     * The high score table new games are entered in, see HighScores.mode()
+     */
+    get mode() {
+        return HighScores.mode(this.engine.options);
+    }
+
+    get worm() {
+        return this.engine.state.worm;
+    }
+
+    get worms() {
+        return this.engine.state.worms;
+    }
+
+    get apple() {
+        return this.engine.state.apple;
+    }
+
+    start() {
+        Logger.get('game').info('Starting WormJS');
+        this.timer = new FPSTimer();
+        this.timer.start();
+        super.start();
+        const self = this;
+        this.blurListener = function () {
+            self.autoPause();
+        };
+        window.addEventListener('blur', this.blurListener);
+        Logger.get('game').debug('WormJS Started');
+    }
+
+    stop() {
+        super.stop();
+        this.timer.stop();
+        window.removeEventListener('blur', this.blurListener);
+    }
+
+    poll() {
+        this.gamepads.poll();
+    }
+
+    onHidden() {
+        this.autoPause();
+        this.timer.stop();
+    }
+
+    onVisible() {
+        this.timer.start();
+    }
+
+    /**
+     * Pause the game (or replay) because the player has looked away.  They
+     * resume it themselves.
+     */
+    autoPause() {
+        if (this.demo) {
+            this.stopDemo();
+        } else if (this.replay) {
+            this.replay.paused = true;
+        } else if (this.gameState === WormJS.GameState.PLAYING) {
+            Logger.get('game').info('Pausing while the game is out of sight');
+            this.pause();
+        }
+    }
+
+    /**
+     * Take key presses off a player's movement queue until one is found that
+     * their worm can turn toward
+     * @param {number} player
+     * @returns The accepted direction, or null if there was none
+     */
+    processKeys(player = 0) {
+        Logger.get('input').trace('Processing key presses');
+        const queue = this.movementQueues[player];
+        while (queue.length > 0) {
+            let mvmt = queue.shift();
+            Logger.get('input').trace('Processing key press ' + JSON.stringify(mvmt));
+            // skip key presses that are same or opposite direction
+            if (!this.worms[player].canTurn(mvmt)) {
+                Logger.get('input').trace('Skipping key press');
+                continue;
+            }
+            Logger.get('input').trace('Accepting key press');
+            return mvmt;
+        }
+        Logger.get('input').trace('Done processing keys');
+        return null;
+    }
+
+    render(frameCount, alpha = 1) {
+        Logger.get('render').trace('Painting');
+        this.background.paint(this.canvas);
+        if (this.debug) {
+            Logger.get('render').trace('Debugging, painting debug HUD text');
+            this.hudText.paint(this.canvas);
+        }
+        for (let i = 0; i < this.worms.length; i++) {
+            this.wormSprites[i].worm = this.worms[i];
+            this.wormSprites[i].paint(this.canvas, alpha);
+        }
+        const state = this.engine.state;
+        this.foodSprite.foods = this.apple ? [this.apple].concat(state.foods) : state.foods;
+        this.foodSprite.gameFrame = state.frame;
+        this.foodSprite.fps = this.engine.speed();
+        this.foodSprite.paint(this.canvas);
+        this.wallSprite.level = this.engine.state.level;
+        this.wallSprite.paint(this.canvas);
+        if (this.debug) {
+            this.logText.paint(this.canvas);
+        }
+        if (this.bindingsEditor.isOpen) {
+            Logger.get('render').trace('Painting key bindings');
+            this.bindingsText.paint(this.canvas);
+        } else if (this.settingsPanel.isOpen) {
+            Logger.get('render').trace('Painting settings');
+            this.settingsText.paint(this.canvas);
+        } else if (this.soundPreview.isOpen) {
+            Logger.get('render').trace('Painting sound effects');
+            this.soundsText.paint(this.canvas);
+        } else if (this.showingScores) {
+            Logger.get('render').trace('Painting high scores');
+            this.scoresText.paint(this.canvas);
+        } else if (this.gameState === WormJS.GameState.PAUSED) {
+            Logger.get('render').trace('Pause, painting help text');
+            this.helpText.players = this.humanPlayers;
+            this.helpText.paint(this.canvas);
+        }
+        const popover = this.showingScores || this.settingsPanel.isOpen || this.soundPreview.isOpen;
+        if (this.gameState === WormJS.GameState.GAMEOVER && !popover) {
+            Logger.get('render').trace('Game Over, painting game over text');
+            this.gameOverText.paint(this.canvas);
+        }
+        if (this.gameState === WormJS.GameState.WON && !popover) {
+            Logger.get('render').trace('Won, painting win text');
+            this.winText.paint(this.canvas);
+        }
+        this.replayText.paint(this.canvas);
+        this.demoText.paint(this.canvas);
+        this.effectsText.paint(this.canvas);
+        this.settingsBar.paint(this.canvas);
+    }
+
+    frame(frameCount) {
+        Logger.get('game').trace('Starting game frame');
+        this.timer.frame();
+        if (this.demo) {
+            this.demoFrame();
+            return;
+        }
+        this.waitForDemo();
+        if (this.gameState === WormJS.GameState.PLAYING) {
+            this.sounds.frame();
+        }
+        this.rememberWorm();
+        if (this.replay) {
+            if (!this.replay.paused) {
+                this.replay.step();
+            }
+            return;
+        }
+        const inputs = this.worms.map((worm, player) => this.isCpu(player) ? this.opponent.decide() : this.processKeys(player));
+        this.engine.tick(inputs);
+    }
+
+    /**
+     * Start the demo once the game has sat paused for WormJS.DemoDelay
+     */
+    waitForDemo() {
+        if (this.gameState !== WormJS.GameState.PAUSED || this.replay || this.bindingsEditor.isOpen || this.showingScores ||
+                this.settingsPanel.isOpen || this.soundPreview.isOpen || !this.demoStrategy) {
+            this.idleTime = 0;
+            return;
+        }
+        this.idleTime += 1000 / this.fps;
+        if (this.idleTime >= WormJS.DemoDelay) {
+            this.startDemo();
+        }
+    }
+
+    /**
+     * Attract mode: the computer plays a game of its own on a separate
+     * engine, so the paused game is left as it was.  Any input ends it.
+     */
+    startDemo() {
+        Logger.get('game').info('Starting demo');
+        const options = this.engine.options;
+        const engine = new GameEngine(this.engine.openBoard.width, this.engine.openBoard.height, {
+            speed: options.speed,
+            difficulty: options.difficulty,
+            wrap: options.wrap,
+            level: options.level,
+            players: options.players,
+            food: options.food
+        });
+        this.demo = {
+            savedEngine: this.engine,
+            controllers: engine.state.worms.map((worm, player) => new AIController(engine, player, this.demoStrategy))
+        };
+        this.engine = engine;
+        this.engine.resume();
+        this.fitBoard();
+        this.updateFps();
+    }
+
+    /**
+     * Go back to the game that was paused when the demo started
+     */
+    stopDemo() {
+        Logger.get('game').info('Leaving demo');
+        this.engine = this.demo.savedEngine;
+        this.demo = null;
+        this.idleTime = 0;
+        this.fitBoard();
+        this.updateFps();
+    }
+
+    /**
+     * One frame of the demo.  When the computer's game ends it starts another.
+     */
+    demoFrame() {
+        this.rememberWorm();
+        if (this.gameState !== WormJS.GameState.PLAYING) {
+            this.engine.reset();
+            this.engine.resume();
+        } else {
+            this.engine.tick(this.demo.controllers.map(controller => controller.decide()));
+        }
+        this.fitBoard();
+        this.updateFps();
+    }
+
+    /**
+     * Note that the player did something, which ends the demo
+     * @returns true if a demo was running
+     */
+    wake() {
+        this.idleTime = 0;
+        if (this.demo) {
+            this.stopDemo();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Let the worm sprites know where the worms are before they move
+     */
+    rememberWorm() {
+        for (let i = 0; i < this.worms.length; i++) {
+            this.wormSprites[i].worm = this.worms[i];
+            this.wormSprites[i].remember();
+        }
+    }
+
+    reset() {
+        this.engine.reset();
+    }
+
+    pause() {
+        this.engine.pause();
+    }
+
+    resume() {
+        this.engine.resume();
+    }
+
+    /**
+     * Handle a key press
+     * @param {string} code The KeyboardEvent.code of the key
+     * @returns true if the key did something
+     */
+    keyDown(code) {
+        Logger.get('input').debug('Handling key press', {code: code});
+        this.sounds.resume();
+        if (this.wake()) {
+            return true;
+        }
+        if (this.bindingsEditor.isOpen) {
+            if (this.bindingsEditor.keyDown(code)) {
+                this.bindings.save(this.storage);
+            }
+            return true;
+        }
+        if (this.initialsEntry.isOpen) {
+            if (this.initialsEntry.keyDown(code)) {
+                this.saveInitials();
+            }
+            return true;
+        }
+        if (this.settingsPanel.isOpen) {
+            if (this.bindings.actionFor(code) === 'settings') {
+                this.settingsPanel.close();
+            } else {
+                this.changeSetting(() => this.settingsPanel.keyDown(code));
+            }
+            return true;
+        }
+        if (this.soundPreview.isOpen) {
+            if (this.bindings.actionFor(code) === 'sounds') {
+                this.soundPreview.close();
+            } else {
+                const name = this.soundPreview.keyDown(code);
+                if (name) {
+                    this.sounds.effect(name, true);
+                }
+            }
+            return true;
+        }
+        const action = this.bindings.actionFor(code, this.humanPlayers);
+        if (action === null) {
+            return false;
+        }
+        this.perform(action);
+        return true;
+    }
+
+    /**
+     * Carry out a game action, whatever device it came from
+     * @param {string} action One of the names in KeyBindings.Actions
+     */
+    perform(action) {
+        Logger.get('input').trace('Performing action', {action: action});
+        if (this.wake()) {
+            return;
+        }
+        if (this.bindingsEditor.isOpen) {
+            if (action === 'pause' || action === 'bindings') {
+                this.bindingsEditor.close();
+            }
+            return;
+        }
+        if (this.initialsEntry.isOpen) {
+            if (action === 'pause') {
+                this.saveInitials();
+            }
+            return;
+        }
+        if (this.showingScores) {
+            this.scoresAction(action);
+            return;
+        }
+        if (this.settingsPanel.isOpen) {
+            this.settingsAction(action);
+            return;
+        }
+        if (this.soundPreview.isOpen) {
+            this.previewAction(action);
+            return;
+        }
+        if (this.replay && this.replayAction(action)) {
+            return;
+        }
+        switch(action) {
+            case 'up':
+            case 'down':
+            case 'left':
+            case 'right':
+                this.movementQueues[0].push(MovingSprite.Direction[action.toUpperCase()]);
+                break;
+            case 'up2':
+            case 'down2':
+            case 'left2':
+            case 'right2':
+                if (this.humanPlayers > 1) {
+                    this.movementQueues[1].push(MovingSprite.Direction[action.slice(0, -1).toUpperCase()]);
+                }
+                break;
+            case 'pause':
+                this.onSpaceKey();
+                break;
+            case 'mute':
+                this.onSKey();
+                break;
+            case 'debug':
+                this.onDKey();
+                break;
+            case 'wrap':
+                this.changeSetting(() => this.onWKey());
+                break;
+            case 'level':
+                this.changeSetting(() => this.onLKey());
+                break;
+            case 'players':
+                this.changeSetting(() => this.onPKey());
+                break;
+            case 'difficulty':
+                this.changeSetting(() => this.onFKey());
+                break;
+            case 'bindings':
+                this.editBindings();
+                break;
+            case 'scores':
+                this.showScores();
+                break;
+            case 'settings':
+                this.editSettings();
+                break;
+            case 'sounds':
+                this.previewSounds();
+                break;
+        }
+    }
+
+    /**
+     * Carry out an action from another device while the settings panel is
+     * open: directions choose and change settings like the arrow keys
+     */
+    settingsAction(action) {
+        const keys = {up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', pause: 'Enter'};
+        if (action === 'settings' || action === 'exit') {
+            this.settingsPanel.close();
+        } else if (keys[action]) {
+            this.changeSetting(() => this.settingsPanel.keyDown(keys[action]));
+        }
+    }
+
+    /**
+     * Carry out an action from another device while the sound effect preview
+     * is open: up and down choose an effect and pause plays it
+     */
+    previewAction(action) {
+        const keys = {up: 'ArrowUp', down: 'ArrowDown', pause: 'Enter'};
+        if (action === 'sounds' || action === 'exit') {
+            this.soundPreview.close();
+        } else if (keys[action]) {
+            const name = this.soundPreview.keyDown(keys[action]);
+            if (name) {
+                this.sounds.effect(name, true);
+            }
+        }
+    }
+
+    /**
+     * Change a setting, logging rather than throwing if the game can't take
+     * it (e.g. two worms on a level with no room for them)
+     * @param {function} change
+     */
+    changeSetting(change) {
+        try {
+            change();
+        } catch (e) {
+            Logger.get('settings').warn('Could not change setting: ' + e.message);
+        }
+    }
+
+    /**
+     * Pause the game and open the key binding screen
+     */
+    editBindings() {
+        if (this.replay) {
+            return;
+        }
+        if (this.gameState === WormJS.GameState.PLAYING) {
+            this.pause();
+        }
+        this.bindingsEditor.open();
+    }
+
+    /**
+     * Pause the game and open the sound effect preview, in debug mode only
+     */
+    previewSounds() {
+        if (!this.debug || this.replay) {
+            return;
+        }
+        if (this.gameState === WormJS.GameState.PLAYING) {
+            this.pause();
+        }
+        this.soundPreview.open();
+    }
+
+    /**
+     * Handle a click or tap on the canvas
+     * @param {number} x The horizontal position in canvas pixels
+     * @param {number} y The vertical position in canvas pixels
+     * @returns true if it was on a setting, or ended the demo
+     */
+    click(x, y) {
+        Logger.get('input').debug('Handling click', {x: x, y: y});
+        this.sounds.resume();
+        if (this.wake()) {
+            return true;
+        }
+        if (this.settingsPanel.isOpen) {
+            const row = this.settingsText.rowAt(x, y);
+            if (row >= 0) {
+                this.settingsPanel.selected = row;
+                this.changeSetting(() => this.settings.next(this.settingsPanel.name));
+            } else {
+                this.settingsPanel.close();
+            }
+            return true;
+        }
+        if (this.soundPreview.isOpen) {
+            this.soundPreview.close();
+            return true;
+        }
+        switch(this.settingsBar.itemAt(x, y)) {
+            case 'settings':
+                this.editSettings();
+                return true;
+            case 'players':
+                this.changeSetting(() => this.onPKey());
+                return true;
+            case 'sound':
+                this.onSKey();
+                return true;
+            case 'volume':
+                this.changeVolume(this.settingsBar.volumeAt(x, y));
+                return true;
+            case 'wrap':
+                this.changeSetting(() => this.onWKey());
+                return true;
+            case 'level':
+                this.changeSetting(() => this.onLKey());
+                return true;
+            case 'difficulty':
+                this.changeSetting(() => this.onFKey());
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set a volume from a click on its slider in the settings bar
+     * @param {{channel: string, volume: number}} slider See SettingsSprite.volumeAt(), or null
+     */
+    changeVolume(slider) {
+        if (slider) {
+            this.settings.set(slider.channel + 'Volume', slider.volume);
+        }
+    }
+
+    /**
+     * Handle a tap on a touch screen.  Taps on the settings bar work like
+     * clicks, anywhere else they work like the space bar.
+     * @param {number} x The horizontal position in canvas pixels
+     * @param {number} y The vertical position in canvas pixels
+     */
+    tap(x, y) {
+        if (!this.click(x, y)) {
+            this.perform('pause');
+        }
+    }
+
+    /**
+     * Handle a swipe on a touch screen
+     * @param {{x: number, y: number}} direction The Direction of the swipe
+     */
+    swipe(direction) {
+        this.sounds.resume();
+        if (!this.wake() && !this.replay) {
+            this.movementQueues[0].push(direction);
+        }
+    }
+
+    /**
+     * Carry out an action that controls a replay
+     * @returns true if the action was used
+     */
+    replayAction(action) {
+        switch(action) {
+            case 'pause':
+                if (this.replay.isFinished()) {
+                    this.stopReplay();
+                } else {
+                    this.replay.togglePause();
+                }
+                return true;
+            case 'right':
+            case 'step':
+                if (this.replay.paused) {
+                    this.rememberWorm();
+                    this.replay.step();
+                }
+                return true;
+            case 'faster':
+                this.replay.faster();
+                this.updateFps();
+                return true;
+            case 'slower':
+                this.replay.slower();
+                this.updateFps();
+                return true;
+            case 'exit':
+                this.stopReplay();
+                return true;
+            case 'left':
+            case 'up':
+            case 'down':
+            case 'up2':
+            case 'down2':
+            case 'left2':
+            case 'right2':
+                // the replay decides where the worms go
+                return true;
+        }
+        return false;
+    }
+
+    onSpaceKey() {
+        Logger.get('input').trace('Handling spacebar key press');
+        Logger.get('input').trace('Current game state: ' + JSON.stringify(this.gameState));
+        switch(this.gameState) {
+            case WormJS.GameState.PLAYING:
+                this.pause();
+                break;
+            case WormJS.GameState.GAMEOVER:
+            case WormJS.GameState.WON:
+                this.reset();
+            case WormJS.GameState.PAUSED:
+                this.resume();
+                break;
+        }
+    }
+
+    onDKey() {
+        this.settings.next('debug');
+    }
+
+    onSKey() {
+        this.settings.next('mute');
+    }
+
+    onWKey() {
+        if (this.replay) {
+            return;
+        }
+        this.setWrap(!this.wrap);
+    }
+
+    /**
+     * Switch to the next starting level: the classic open board, then each
+     * level that has been added
+     */
+    onLKey() {
+        if (this.replay) {
+            return;
+        }
+        this.settings.next('level');
+    }
+
+    /**
+     * Switch to the next difficulty, in the order of Difficulty.Presets
+     */
+    onFKey() {
+        if (this.replay) {
+            return;
+        }
+        this.settings.next('difficulty');
+    }
+
+    /**
+     * Switch between one player, two players and a game against the computer
+     */
+    onPKey() {
+        if (this.replay) {
+            return;
+        }
+        if (this.players === 1) {
+            this.setPlayers(2);
+        } else if (!this.opponent) {
+            this.setPlayers(2, true);
+        } else {
+            this.setPlayers(1);
+        }
+    }
+
+    /**
+     * Pause the game and open the settings panel
+     */
+    editSettings() {
+        if (this.replay) {
+            return;
+        }
+        if (this.gameState === WormJS.GameState.PLAYING) {
+            this.pause();
+        }
+        this.settingsPanel.open();
+    }
+
+    /**
+     * Make the game follow its settings whenever they change
+     */
+    watchSettings() {
+        const self = this;
+        // these change the game itself, so a game in progress starts over.
+        // The engine is asked first whether it can start a game with the new
+        // value (e.g. room for two worms on the level), so a setting it can't
+        // use is never saved.
+        ['wrap', 'level', 'difficulty', 'food', 'players'].forEach(function (name) {
+            self.settings.addCheck(name, function (value) {
+                self.engine.check(Object.assign({}, self.engine.options, {[name]: value}));
+            });
+            self.settings.addListener(name, function (value) {
+                self.engine.options[name] = value;
+                self.restart();
+            });
+        });
+        this.settings.addListener('players', function () {
+            self.useOpponent();
+        });
+        this.settings.addListener('opponent', function () {
+            self.useOpponent();
+        });
+        this.settings.addListener('theme', function (theme) {
+            self.useTheme(theme);
+        });
+        // the sound effect preview is only for debugging
+        this.settings.addListener('debug', function (debug) {
+            if (!debug) {
+                self.soundPreview.close();
+            }
+        });
+    }
+
+    /**
+     * Start the current game over with the engine's options, unless it has
+     * already ended
+     */
+    restart() {
+        if (this.gameState === WormJS.GameState.PLAYING || this.gameState === WormJS.GameState.PAUSED) {
+            this.reset();
+            this.pause();
+        }
+    }
+
+    /**
+     * Let the computer play the second worm if the settings say so
+     */
+    useOpponent() {
+        const cpu = this.players > 1 && this.settings.get('opponent') === 'cpu';
+        this.opponent = cpu ? new AIController(this.engine, 1, this.cpuStrategy) : null;
+    }
+
+    /**
+     * Colour the board and settings bar
+     * @param {string} name The name of one of Settings.Themes
+     */
+    useTheme(name) {
+        const theme = Settings.Themes[name];
+        this.background.color = theme.background;
+        this.wallSprite.color = theme.walls;
+        this.settingsBar.color = theme.bar;
+        this.settingsBar.fgColor = theme.barText;
+    }
+
+    /**
+     * Choose how many worms there are.  Like setWrap(), this starts the
+     * current game over unless it has already ended.
+     * @param {number} players 1 or 2
+     * @param {boolean} cpu Whether the computer plays the second worm
+     */
+    setPlayers(players, cpu = false) {
+        this.settings.set('players', players);
+        this.settings.set('opponent', cpu ? 'cpu' : 'human');
+    }
+
+    /**
+     * Choose the level new games start on.  Like setWrap(), this starts the
+     * current game over unless it has already ended.
+     * @param {string} name The name of a Level, or null for the classic open board
+     */
+    setLevel(name) {
+        this.settings.set('level', name);
+    }
+
+    /**
+     * Choose the difficulty new games start on.  Like setWrap(), this starts
+     * the current game over unless it has already ended.
+     * @param {string} name The name of a Difficulty
+     */
+    setDifficulty(name) {
+        this.settings.set('difficulty', name);
+    }
+
+    /**
+     * Add a level from its text form and start playing it
+     * @param {string} text See Level.parse()
+     */
+    loadLevel(text) {
+        const level = Level.add(Level.parse(text));
+        this.wake();
+        Logger.get('game').info('Loaded level ' + level.name);
+        if (this.replay) {
+            this.stopReplay();
+        }
+        if (this.levelName === level.name) {
+            // a new level with the same name as the current one
+            this.restart();
+        } else {
+            this.setLevel(level.name);
+        }
+    }
+
+    /**
+     * Choose whether the worm wraps around the edges of the board.  A replay
+     * can only hold one mode, so the current game starts over unless it has
+     * already ended.
+     * @param {boolean} wrap
+     */
+    setWrap(wrap) {
+        this.settings.set('wrap', wrap);
+    }
 
-WormJS.GameState = {
-    PLAYING: 0,
-    PAUSED: 1,
-    GAMEOVER: 2
 }
 
+WormJS.GameState = GameEngine.GameState;
+
+/** How long the game sits paused before the demo starts, in milliseconds */
+WormJS.DemoDelay = 15000;
 
+/** The name and worm colour of each player */
+WormJS.Players = [
+    {name: 'Player 1', color: '#6666ff'},
+    {name: 'Player 2', color: '#ff9933'}
+];
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine, 'ai.js');
+
+/**
+ * Move the apple to a cell, e.g. right in front of the worm
+ */
+function putApple(engine, x, y) {
+    const apple = engine.state.apple;
+    engine.grid.remove(apple, apple.x, apple.y);
+    engine.state.apple = new Apple(x, y);
+    engine.grid.add(engine.state.apple, x, y);
+}
+
+test('a worm\'s own tail is only safe when it isn\'t about to grow', () => {
+    const engine = new GameEngine(20, 20, {seed: 1});
+    const strategy = new AIStrategy();
+    const worm = engine.state.worm;
+    const tail = worm.parts[0];
+    assert.ok(strategy.isSafe(engine, 0, tail));
+    assert.ok(!strategy.isSafe(engine, 0, worm.parts[1]));
+    worm.growth = 1;
+    assert.ok(!strategy.isSafe(engine, 0, tail));
+    worm.growth = 0;
+    putApple(engine, tail.x, tail.y);
+    assert.ok(!strategy.isSafe(engine, 0, tail));
+});
+
+test('walls and the edge of the board are not safe', () => {
+    const engine = new GameEngine(40, 30, {seed: 1, level: 'Box'});
+    const strategy = new AIStrategy();
+    assert.ok(!strategy.isSafe(engine, 0, {x: 0, y: 5}));
+    assert.ok(!strategy.isSafe(engine, 0, {x: -1, y: 5}));
+    assert.ok(strategy.isSafe(engine, 0, {x: 1, y: 5}));
+});
+
+for (const name of Object.keys(AIStrategy.Strategies)) {
+    test(`the ${name} strategy eats apples on its own`, () => {
+        const engine = new GameEngine(20, 20, {seed: 7});
+        const state = AIController.playGame(engine, [new AIController(engine, 0, name)], 2000);
+        assert.ok(state.score >= 5, `scored ${state.score}`);
+    });
+}
+
+test('two computer players play a game to the end', () => {
+    const engine = new GameEngine(30, 20, {seed: 3, players: 2});
+    const controllers = [new AIController(engine, 0, 'greedy'), new AIController(engine, 1, 'path')];
+    const state = AIController.playGame(engine, controllers, 20000);
+    assert.notEqual(state.gameState, GameEngine.GameState.PLAYING);
+    assert.equal(state.scores.length, 2);
+});
+
+test('the strategies steer clear of a crash', () => {
+    const engine = new GameEngine(20, 20, {seed: 1});
+    const worm = engine.state.worm;
+    putApple(engine, 0, 0);
+    engine.resume();
+    // head for the right hand edge, with the apple behind
+    while (worm.x < 19) {
+        engine.tick();
+    }
+    for (const name of Object.keys(AIStrategy.Strategies)) {
+        const direction = AIStrategy.create(name).decide(engine, 0);
+        assert.ok(direction === worm.direction || worm.canTurn(direction), name);
+        assert.ok(new AIStrategy().isSafe(engine, 0, engine.nextCell(worm.getHead(), direction)), name);
+    }
+});
+
+test('an unknown strategy is refused', () => {
+    assert.throws(() => AIStrategy.create('psychic'), /Unknown AI strategy/);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine, 'replay.js', 'worm.js');
+
+/**
+ * Stands in for the browser's animation frames: the test calls frame(time)
+ * to run the callback the animator asked for last
+ */
+const animationFrames = {
+    callback: null,
+    frame(time) {
+        const callback = this.callback;
+        this.callback = null;
+        callback(time);
+    }
+};
+global.window = {
+    requestAnimationFrame(callback) {
+        animationFrames.callback = callback;
+        return 1;
+    },
+    cancelAnimationFrame() {
+        animationFrames.callback = null;
+    }
+};
+
+/** Stands in for the page, which the test can hide and show */
+global.document = {
+    hidden: false,
+    listeners: [],
+    addEventListener(type, listener) {
+        this.listeners.push(listener);
+    },
+    removeEventListener(type, listener) {
+        this.listeners.splice(this.listeners.indexOf(listener), 1);
+    },
+    setHidden(hidden) {
+        this.hidden = hidden;
+        this.listeners.slice().forEach(listener => listener());
+    }
+};
+
+/** An Animator that writes down the game frames and renders it was asked for */
+class RecordingAnimator extends Animator {
+    constructor(fps, maxSteps) {
+        super(fps, maxSteps);
+        this.frames = [];
+        this.renders = [];
+        this.visibility = [];
+    }
+    onHidden() {
+        this.visibility.push('hidden');
+    }
+    onVisible() {
+        this.visibility.push('visible');
+    }
+    frame(frameCount) {
+        this.frames.push(frameCount);
+    }
+    render(frameCount, alpha) {
+        this.renders.push(alpha);
+    }
+}
+
+test('game frames run on a fixed timestep, however often the browser renders', () => {
+    const animator = new RecordingAnimator(10);
+    animator.start();
+    animationFrames.frame(1000);
+    assert.deepEqual(animator.frames, []);
+    animationFrames.frame(1150);
+    assert.deepEqual(animator.frames, [1]);
+    assert.equal(animator.renders[1], 0.5);
+    animationFrames.frame(1175);
+    assert.deepEqual(animator.frames, [1]);
+    assert.equal(animator.renders[2], 0.75);
+    animationFrames.frame(1350);
+    assert.deepEqual(animator.frames, [1, 2, 3]);
+    animator.stop();
+});
+
+test('after a long stall the frames beyond maxSteps are dropped', () => {
+    const animator = new RecordingAnimator(10, 5);
+    animator.start();
+    animationFrames.frame(0);
+    animationFrames.frame(10000);
+    assert.deepEqual(animator.frames, [1, 2, 3, 4, 5]);
+    assert.equal(animator.renders[1], 0);
+    animationFrames.frame(10100);
+    assert.deepEqual(animator.frames, [1, 2, 3, 4, 5, 6]);
+    animator.stop();
+});
+
+test('a stopped animator runs no more frames', () => {
+    const animator = new RecordingAnimator(10);
+    const listened = [];
+    animator.addFrameListener(() => listened.push(animator.frameCount));
+    animator.start();
+    animationFrames.frame(0);
+    animationFrames.frame(100);
+    animator.stop();
+    assert.equal(animationFrames.callback, null);
+    animator.renderLoop(1000);
+    assert.deepEqual(animator.frames, [1]);
+    assert.deepEqual(listened, [2]);
+    assert.deepEqual(document.listeners, []);
+});
+
+test('the loop is suspended while the page is hidden and skips the time it was away', () => {
+    const animator = new RecordingAnimator(10);
+    animator.start();
+    animationFrames.frame(0);
+    animationFrames.frame(150);
+    document.setHidden(true);
+    assert.equal(animationFrames.callback, null);
+    assert.deepEqual(animator.visibility, ['hidden']);
+
+    document.setHidden(false);
+    assert.deepEqual(animator.visibility, ['hidden', 'visible']);
+    animationFrames.frame(60000);
+    animationFrames.frame(60050);
+    assert.deepEqual(animator.frames, [1]);
+    animationFrames.frame(60100);
+    assert.deepEqual(animator.frames, [1, 2]);
+    animator.stop();
+});
+
+test('an animator started on a hidden page waits for it to be shown', () => {
+    const animator = new RecordingAnimator(10);
+    document.hidden = true;
+    animator.start();
+    assert.equal(animationFrames.callback, null);
+    document.setHidden(false);
+    assert.notEqual(animationFrames.callback, null);
+    animator.stop();
+});
+
+test('the worm glides between neighbouring cells but not across the board', () => {
+    const sprite = new WormSprite(new Worm([{x: 0, y: 0}], Direction.RIGHT, new OccupancyGrid(1, 1)), 'green', 10);
+    assert.deepEqual(sprite.between({x: 2, y: 3}, {x: 3, y: 3}, 0.25), {x: 2.25, y: 3});
+    assert.deepEqual(sprite.between({x: 19, y: 3}, {x: 0, y: 3}, 0.25), {x: 0, y: 3});
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load('logger.js', 'sounds.js', 'music.js', 'sfx.js', 'offline.js', 'random.js');
+
+/**
+ * The loudest sample of a rendered buffer, to tell it isn't silent
+ */
+function peak(buffer) {
+    let peak = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        peak = buffer.getChannelData(c).reduce((max, sample) => Math.max(max, Math.abs(sample)), peak);
+    }
+    return peak;
+}
+
+/**
+ * Check a rendering is the same every time and survives being saved as a WAV
+ * @param {function} render Renders the sound, returning a Promise of the buffer
+ */
+async function checkRendering(render) {
+    const buffer = await render();
+    assert.ok(peak(buffer) > 0, 'rendered silence');
+    assert.equal(OfflineRenderer.compare(buffer, await render()).maxDifference, 0);
+    const saved = Wav.decode(Wav.encode(buffer));
+    assert.equal(saved.length, buffer.length);
+    assert.equal(saved.sampleRate, buffer.sampleRate);
+    assert.ok(OfflineRenderer.matches(buffer, saved));
+}
+
+for (const name of Object.keys(SoundEffect.Presets)) {
+    test(`the ${name} effect renders the same every time`, () =>
+        checkRendering(() => OfflineRenderer.effect(SoundEffect.Presets[name])));
+}
+
+for (const name of Object.keys(Sequencer.Songs)) {
+    test(`the ${name} song renders the same every time`, () =>
+        checkRendering(() => OfflineRenderer.song(Sequencer.Songs[name], 32, 10)));
+}
+
+test('different effects don\'t match', async () => {
+    const eat = await OfflineRenderer.effect(SoundEffect.Presets.eat);
+    const bonus = await OfflineRenderer.effect(SoundEffect.Presets.bonus);
+    assert.ok(!OfflineRenderer.matches(eat, bonus));
+});
+
+test('a file that isn\'t a WAV is refused', () => {
+    assert.throws(() => Wav.decode(new ArrayBuffer(44)), /Not a WAV file/);
+});
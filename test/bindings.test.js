@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load('logger.js', 'bindings.js');
+
+/** A Storage kept in memory */
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => key in items ? items[key] : null,
+        setItem: (key, value) => {
+            items[key] = String(value);
+        }
+    };
+}
+
+test('every profile binds every action', () => {
+    for (let profile in KeyBindings.Profiles) {
+        const bindings = new KeyBindings(profile);
+        for (let i = 0; i < KeyBindings.Actions.length; i++) {
+            assert.ok(bindings.keysFor(KeyBindings.Actions[i].name).length > 0, profile + ' ' + KeyBindings.Actions[i].name);
+        }
+    }
+    assert.throws(() => new KeyBindings('dvorak'), /Unknown key binding profile: dvorak/);
+});
+
+test('no profile binds a key to two actions', () => {
+    for (let profile in KeyBindings.Profiles) {
+        assert.doesNotThrow(() => new KeyBindings(profile), profile);
+    }
+    const keys = new KeyBindings().keys;
+    keys.debug = ['KeyW'];
+    assert.throws(() => new KeyBindings('default', keys), /W is bound to both up2 and debug/);
+});
+
+test('the second player\'s keys only work in a two player game', () => {
+    const bindings = new KeyBindings();
+    assert.equal(bindings.actionFor('KeyW'), null);
+    assert.equal(bindings.actionFor('KeyW', 2), 'up2');
+    assert.equal(bindings.actionFor('ArrowUp', 2), 'up');
+    assert.deepEqual(bindings.activeKeysFor('left2'), []);
+    assert.deepEqual(bindings.activeKeysFor('left2', 2), ['KeyA']);
+    const lines = bindings.helpLines(2);
+    assert.equal(lines[0], 'Up/Down/Left/Right: Move Player 1');
+    assert.equal(lines[1], 'W/S/A/D: Move Player 2');
+});
+
+test('keys are looked up by action and actions by key', () => {
+    const bindings = new KeyBindings('vim');
+    assert.equal(bindings.actionFor('KeyH'), 'left');
+    assert.equal(bindings.actionFor('ArrowLeft'), null);
+    assert.deepEqual(bindings.keysFor('faster'), ['Equal', 'NumpadAdd']);
+    assert.deepEqual(bindings.keysFor('fly'), []);
+});
+
+test('rebinding a key takes it away from the action it had', () => {
+    const bindings = new KeyBindings();
+    bindings.bind('up', 'KeyL');
+    assert.deepEqual(bindings.keysFor('up'), ['KeyL']);
+    assert.deepEqual(bindings.keysFor('level'), []);
+    assert.equal(bindings.actionFor('KeyL'), 'up');
+    assert.equal(bindings.actionFor('ArrowUp'), null);
+    assert.equal(bindings.describe('level'), '(none)');
+    bindings.useProfile('default');
+    assert.equal(bindings.actionFor('KeyL'), 'level');
+});
+
+test('bindings are saved and loaded with their changes', () => {
+    const storage = memoryStorage();
+    const bindings = new KeyBindings('wasd');
+    bindings.bind('pause', 'KeyP');
+    bindings.save(storage);
+    const loaded = KeyBindings.load(storage);
+    assert.equal(loaded.profile, 'wasd');
+    assert.deepEqual(loaded.keys, bindings.keys);
+});
+
+test('saved bindings that can\'t be read are replaced with the default profile', () => {
+    const storage = memoryStorage();
+    assert.deepEqual(KeyBindings.load(storage).keys, new KeyBindings().keys);
+    storage.setItem(KeyBindings.StorageKey, '{not json');
+    assert.equal(KeyBindings.load(storage).profile, 'default');
+    storage.setItem(KeyBindings.StorageKey, JSON.stringify({profile: 'gone', keys: {}}));
+    assert.equal(KeyBindings.load(storage).profile, 'default');
+});
+
+test('the help text names the keys', () => {
+    const lines = new KeyBindings().helpLines();
+    assert.equal(lines[0], 'Up/Down/Left/Right: Move Worm');
+    assert.ok(lines.indexOf('Space: Pause/Resume') >= 0);
+    assert.equal(KeyBindings.keyName('NumpadAdd'), 'Num +');
+    assert.equal(KeyBindings.keyName('Digit7'), '7');
+    assert.equal(KeyBindings.keyName('Numpad7'), 'Num 7');
+});
+
+test('the key binding screen chooses an action and waits for its new key', () => {
+    const editor = new KeyBindingsEditor(new KeyBindings());
+    editor.open();
+    assert.equal(editor.keyDown('ArrowUp'), false);
+    assert.equal(editor.action, KeyBindings.Actions[KeyBindings.Actions.length - 1].name);
+    editor.keyDown('ArrowDown');
+    editor.keyDown('ArrowDown');
+    assert.equal(editor.action, 'down');
+    editor.keyDown('Enter');
+    assert.ok(editor.waiting);
+    assert.equal(editor.keyDown('KeyX'), true);
+    assert.deepEqual(editor.bindings.keysFor('down'), ['KeyX']);
+
+    editor.keyDown('Enter');
+    assert.equal(editor.keyDown('Escape'), false);
+    assert.deepEqual(editor.bindings.keysFor('down'), ['KeyX']);
+    assert.ok(editor.isOpen);
+});
+
+test('the key binding screen switches and resets profiles and closes', () => {
+    const editor = new KeyBindingsEditor(new KeyBindings());
+    editor.open();
+    editor.bindings.bind('pause', 'KeyP');
+    assert.equal(editor.keyDown('Backspace'), true);
+    assert.deepEqual(editor.bindings.keysFor('pause'), ['Space']);
+    editor.keyDown('Tab');
+    assert.equal(editor.bindings.profile, 'wasd');
+    editor.keyDown('Tab');
+    editor.keyDown('Tab');
+    assert.equal(editor.bindings.profile, 'default');
+    editor.keyDown('KeyK');
+    assert.ok(!editor.isOpen);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine);
+
+/**
+ * Move the apple to a cell, e.g. right in front of the worm
+ */
+function putApple(engine, x, y) {
+    const apple = engine.state.apple;
+    engine.grid.remove(apple, apple.x, apple.y);
+    engine.state.apple = new Apple(x, y);
+    engine.grid.add(engine.state.apple, x, y);
+}
+
+test('a linear curve speeds up by the same amount each time', () => {
+    const difficulty = new Difficulty({name: 'test', startFps: 10, increment: 0.5, curve: 'linear'});
+    assert.equal(difficulty.fps(0), 10);
+    assert.equal(difficulty.fps(4), 12);
+    assert.equal(difficulty.fps(4, 6), 8);
+    assert.equal(difficulty.maxFps, null);
+    assert.equal(difficulty.multiplier, 1);
+    assert.equal(difficulty.label, 'test');
+});
+
+test('a stepped curve speeds up every few speed-ups', () => {
+    const difficulty = new Difficulty({name: 'test', startFps: 12, increment: 2, curve: 'stepped', every: 4});
+    assert.deepEqual([0, 3, 4, 7, 8].map(speedUps => difficulty.fps(speedUps)), [12, 12, 14, 14, 16]);
+});
+
+test('an exponential curve speeds up by a fraction of the speed each time', () => {
+    const difficulty = new Difficulty({name: 'test', startFps: 16, increment: 0.5, curve: 'exponential'});
+    assert.deepEqual([0, 1, 2].map(speedUps => difficulty.fps(speedUps)), [16, 24, 36]);
+});
+
+test('the speed never goes over the difficulty\'s limit', () => {
+    const difficulty = new Difficulty({name: 'test', startFps: 10, increment: 5, maxFps: 20, curve: 'linear'});
+    assert.equal(difficulty.fps(1), 15);
+    assert.equal(difficulty.fps(10), 20);
+    assert.equal(Difficulty.find('insane').fps(1000), Difficulty.find('insane').maxFps);
+});
+
+test('unknown curves and difficulties are refused', () => {
+    assert.throws(() => new Difficulty({name: 'test', startFps: 10, increment: 1, curve: 'sine'}), /Unknown speed curve: sine/);
+    assert.equal(Difficulty.find('impossible'), null);
+    assert.throws(() => new GameEngine(20, 20, {difficulty: 'impossible'}), /Unknown difficulty: impossible/);
+});
+
+test('the presets are offered from easiest to hardest, normal by default', () => {
+    assert.deepEqual(Object.keys(Difficulty.Presets), ['easy', 'normal', 'hard', 'insane']);
+    assert.equal(new GameEngine(20, 20).difficulty, Difficulty.find(Difficulty.Default));
+});
+
+test('a game starts at its difficulty\'s speed and scores with its multiplier', () => {
+    const engine = new GameEngine(20, 20, {seed: 1, difficulty: 'hard'});
+    assert.equal(engine.state.fps, 12);
+    putApple(engine, 11, 10);
+    engine.resume();
+    engine.tick();
+    assert.equal(engine.state.score, 2);
+    assert.equal(engine.state.levelScore, 1);
+    assert.equal(engine.state.speedUps, 1);
+    assert.equal(engine.state.fps, 12);
+});
+
+test('the speed option starts the game at another speed on the same curve', () => {
+    const engine = new GameEngine(20, 20, {seed: 1, difficulty: 'normal', speed: 6});
+    assert.equal(engine.state.fps, 6);
+    putApple(engine, 11, 10);
+    engine.resume();
+    engine.tick();
+    assert.equal(engine.state.fps, 6.5);
+});
+
+test('changing to a difficulty that doesn\'t exist leaves the game as it was', () => {
+    const engine = new GameEngine(20, 20, {seed: 1});
+    const state = engine.state;
+    engine.options.difficulty = 'impossible';
+    assert.throws(() => engine.reset(), /Unknown difficulty: impossible/);
+    assert.equal(engine.state, state);
+    assert.equal(engine.difficulty, Difficulty.find('normal'));
+});
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine);
+
+/**
+ * Move the apple to a cell, e.g. right in front of the worm
+ */
+function putApple(engine, x, y) {
+    const apple = engine.state.apple;
+    engine.grid.remove(apple, apple.x, apple.y);
+    engine.state.apple = new Apple(x, y);
+    engine.grid.add(engine.state.apple, x, y);
+}
+
+/**
+ * Tick until the game ends, or give up after a number of frames
+ */
+function playOut(engine, frames = 100) {
+    engine.resume();
+    while (engine.state.gameState === GameEngine.GameState.PLAYING && frames-- > 0) {
+        engine.tick();
+    }
+    return engine.state;
+}
+
+test('a new game is paused, with a three cell worm heading right', () => {
+    const engine = new GameEngine(20, 20);
+    assert.equal(engine.state.gameState, GameEngine.GameState.PAUSED);
+    assert.deepEqual(engine.state.worm.parts, [{x: 8, y: 10}, {x: 9, y: 10}, {x: 10, y: 10}]);
+    assert.equal(engine.state.worm.direction, Direction.RIGHT);
+});
+
+test('the worm only moves while the game is being played', () => {
+    const engine = new GameEngine(20, 20);
+    putApple(engine, 0, 0);
+    engine.tick(Direction.DOWN);
+    assert.deepEqual(engine.state.worm.getHead(), {x: 10, y: 10});
+    assert.equal(engine.state.worm.direction, Direction.DOWN);
+    engine.resume();
+    engine.tick();
+    assert.deepEqual(engine.state.worm.getHead(), {x: 10, y: 11});
+    assert.equal(engine.state.frame, 1);
+});
+
+test('a worm can\'t turn straight back on itself', () => {
+    const engine = new GameEngine(20, 20);
+    putApple(engine, 0, 0);
+    engine.resume();
+    engine.tick(Direction.LEFT);
+    assert.equal(engine.state.worm.direction, Direction.RIGHT);
+    assert.deepEqual(engine.state.worm.getHead(), {x: 11, y: 10});
+});
+
+test('a worm crashes into the edge of the board', () => {
+    const engine = new GameEngine(20, 20);
+    const events = [];
+    engine.addListener('gameOver', () => events.push('gameOver'));
+    putApple(engine, 0, 0);
+    const state = playOut(engine);
+    assert.equal(state.gameState, GameEngine.GameState.GAMEOVER);
+    assert.equal(state.frame, 10);
+    assert.deepEqual(state.worm.getHead(), {x: 20, y: 10});
+    assert.deepEqual(events, ['gameOver']);
+});
+
+test('a worm on a board that wraps comes back on the other side', () => {
+    const engine = new GameEngine(20, 20, {wrap: true});
+    putApple(engine, 0, 0);
+    engine.resume();
+    for (let i = 0; i < 10; i++) {
+        engine.tick();
+    }
+    assert.equal(engine.state.gameState, GameEngine.GameState.PLAYING);
+    assert.deepEqual(engine.state.worm.getHead(), {x: 0, y: 10});
+    engine.tick(Direction.UP);
+    for (let i = 0; i < 10; i++) {
+        engine.tick();
+    }
+    assert.deepEqual(engine.state.worm.getHead(), {x: 0, y: 19});
+});
+
+test('a worm crashes into itself', () => {
+    const engine = new GameEngine(20, 20);
+    engine.resume();
+    putApple(engine, 11, 10);
+    engine.tick();
+    putApple(engine, 12, 10);
+    engine.tick();
+    putApple(engine, 0, 0);
+    engine.tick(Direction.DOWN);
+    engine.tick(Direction.LEFT);
+    assert.equal(engine.state.gameState, GameEngine.GameState.PLAYING);
+    engine.tick(Direction.UP);
+    assert.equal(engine.state.gameState, GameEngine.GameState.GAMEOVER);
+    assert.ok(engine.state.worm.isSelfCollision());
+});
+
+test('eating an apple levels up: a point, a longer worm and a faster game', () => {
+    const engine = new GameEngine(20, 20);
+    const worm = engine.state.worm;
+    const fps = engine.state.fps;
+    let levelUps = 0;
+    engine.addListener('levelUp', () => levelUps++);
+    putApple(engine, 11, 10);
+    engine.resume();
+    engine.tick();
+    assert.equal(engine.state.score, 1);
+    assert.equal(levelUps, 1);
+    assert.equal(worm.size(), 4);
+    assert.ok(engine.state.fps > fps);
+    assert.notEqual(engine.state.apple, null);
+    putApple(engine, 0, 0);
+    engine.tick();
+    assert.equal(worm.size(), 4);
+});
+
+test('apples are only put on free cells', () => {
+    const engine = new GameEngine(4, 1);
+    putApple(engine, 5, 0); // off the board, out of the way
+    engine.state.worm = new Worm([{x: 0, y: 0}, {x: 1, y: 0}, {x: 3, y: 0}], Direction.RIGHT, engine.grid);
+    engine.state.worms = [engine.state.worm];
+    for (let i = 0; i < 10; i++) {
+        assert.deepEqual(engine.randomApple(), new Apple(2, 0));
+    }
+    engine.state.worm.addHead(2, 0);
+    assert.equal(engine.randomApple(), null);
+});
+
+test('eating the last apple on a full board wins the game', () => {
+    const engine = new GameEngine(4, 1);
+    const events = [];
+    engine.addListener('win', () => events.push('win'));
+    engine.addListener('gameOver', () => events.push('gameOver'));
+    engine.state.worm = new Worm([{x: 0, y: 0}, {x: 1, y: 0}, {x: 2, y: 0}], Direction.RIGHT, engine.grid);
+    engine.state.worms = [engine.state.worm];
+    putApple(engine, 3, 0);
+    engine.resume();
+    engine.tick();
+    assert.equal(engine.state.gameState, GameEngine.GameState.WON);
+    assert.equal(engine.state.apple, null);
+    assert.equal(engine.state.score, 1);
+    engine.tick();
+    assert.equal(engine.state.frame, 1);
+    assert.deepEqual(events, ['win']);
+});
+
+test('a second player starts opposite the first, heading the other way', () => {
+    const engine = new GameEngine(20, 20, {players: 2});
+    assert.equal(engine.state.worms.length, 2);
+    assert.deepEqual(engine.state.worms[1].parts, [{x: 11, y: 9}, {x: 10, y: 9}, {x: 9, y: 9}]);
+    assert.equal(engine.state.worms[1].direction, Direction.LEFT);
+    assert.deepEqual(engine.state.scores, [0, 0]);
+});
+
+test('worms that meet head on both crash', () => {
+    // the second worm starts facing the first, its head right next to the first's
+    const engine = new GameEngine(22, 21, {seed: 1, players: 2});
+    putApple(engine, 0, 0);
+    const state = playOut(engine);
+    assert.equal(state.gameState, GameEngine.GameState.GAMEOVER);
+    assert.equal(state.frame, 1);
+    assert.equal(state.winner, null);
+});
+
+test('the player left moving wins', () => {
+    const engine = new GameEngine(20, 20, {seed: 1, players: 2});
+    putApple(engine, 0, 0);
+    engine.resume();
+    const state = engine.tick([Direction.UP, null]);
+    assert.equal(state.gameState, GameEngine.GameState.GAMEOVER);
+    assert.equal(state.winner, 1);
+});
+
+test('each player scores their own apples', () => {
+    const engine = new GameEngine(20, 20, {seed: 1, players: 2});
+    const eaten = [];
+    engine.addListener('levelUp', (state, player) => eaten.push(player));
+    putApple(engine, 8, 9);
+    engine.resume();
+    engine.tick();
+    assert.deepEqual(eaten, [1]);
+    assert.deepEqual(engine.state.scores, [0, 1]);
+    assert.equal(engine.state.score, 1);
+    assert.equal(engine.state.worms[1].size(), 4);
+});
+
+test('a level without room for two worms leaves the game as it was', () => {
+    Level.add(Level.parse('name: Narrow\n#######\n#..S..#\n#######'));
+    const engine = new GameEngine(40, 30, {seed: 1, players: 2});
+    const state = engine.state;
+    engine.options.level = 'Narrow';
+    assert.throws(() => engine.check(engine.options), /Narrow has no room for a second worm/);
+    assert.throws(() => engine.reset(), /no room for a second worm/);
+    assert.equal(engine.state, state);
+    assert.equal(engine.state.worms.length, 2);
+    assert.deepEqual(engine.board, {width: 40, height: 30});
+    assert.throws(() => engine.check({level: null, difficulty: 'normal', players: 3}), /Unsupported number of players: 3/);
+});
+
+test('resetting starts a new game in the same state it was in', () => {
+    const engine = new GameEngine(20, 20);
+    putApple(engine, 0, 0);
+    playOut(engine);
+    engine.resume();
+    const state = engine.reset();
+    assert.equal(state.score, 0);
+    assert.equal(state.frame, 0);
+    assert.equal(state.gameState, GameEngine.GameState.PLAYING);
+    assert.equal(state.worm.size(), 3);
+});
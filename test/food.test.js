@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine);
+
+/**
+ * Move the apple to a cell, e.g. out of the worm's way
+ */
+function putApple(engine, x, y) {
+    const apple = engine.state.apple;
+    engine.grid.remove(apple, apple.x, apple.y);
+    engine.state.apple = new Apple(x, y);
+    engine.grid.add(engine.state.apple, x, y);
+}
+
+/**
+ * Put a food of the given type on a cell, e.g. right in front of the worm
+ */
+function putFood(engine, name, x, y, expires = null) {
+    const food = new Food(Food.Types[name], x, y, expires);
+    engine.state.foods.push(food);
+    engine.grid.add(food, x, y);
+    return food;
+}
+
+/** A random number generator that always gives the same number */
+function fixedRandom(value) {
+    return {next: () => value};
+}
+
+test('food types are picked by weight, and never the apple', () => {
+    const weights = Object.keys(Food.Types).map(name => Food.Types[name]).filter(type => type.weight > 0);
+    const total = weights.reduce((sum, type) => sum + type.weight, 0);
+    assert.equal(Food.randomType(fixedRandom(0)), weights[0]);
+    assert.equal(Food.randomType(fixedRandom((weights[0].weight + 0.5) / total)), weights[1]);
+    assert.equal(Food.randomType(fixedRandom(0.9999)), weights[weights.length - 1]);
+    assert.equal(weights.indexOf(Food.Types.apple), -1);
+});
+
+test('a registered food type replaces the one with the same name', () => {
+    const bonus = Food.Types.bonus;
+    try {
+        const richer = Food.register(Object.assign({}, bonus, {points: 5}));
+        assert.equal(Food.Types.bonus, richer);
+        assert.equal(new Food(Food.Types.bonus).type.points, 5);
+    } finally {
+        Food.register(bonus);
+    }
+});
+
+test('food counts down the frames it has left', () => {
+    assert.equal(new Food(Food.Types.golden, 0, 0, 80).remaining(30), 50);
+    assert.equal(new Food(Food.Types.golden, 0, 0, 80).remaining(90), 0);
+    assert.equal(new Apple().remaining(30), null);
+});
+
+test('bonus food is worth more and grows the worm', () => {
+    const engine = new GameEngine(20, 20, {seed: 1});
+    putApple(engine, 0, 0);
+    putFood(engine, 'bonus', 11, 10);
+    engine.resume();
+    engine.tick();
+    assert.equal(engine.state.score, 3);
+    assert.equal(engine.state.worm.size(), 4);
+    assert.deepEqual(engine.state.foods, []);
+    assert.equal(engine.foodAt(11, 10), null);
+});
+
+test('shrink food takes segments off, but leaves the worm its starting length', () => {
+    const engine = new GameEngine(20, 20, {seed: 1});
+    putApple(engine, 0, 0);
+    engine.state.worm.growth = 4;
+    engine.resume();
+    for (let i = 0; i < 4; i++) {
+        engine.tick();
+    }
+    assert.equal(engine.state.worm.size(), 7);
+    putFood(engine, 'shrink', 15, 10);
+    engine.tick();
+    assert.equal(engine.state.worm.size(), 4);
+    putFood(engine, 'shrink', 16, 10);
+    engine.tick();
+    assert.equal(engine.state.worm.size(), GameEngine.MinLength);
+    assert.equal(engine.state.score, 2);
+});
+
+test('slow food takes back speed-ups, but never below the starting speed', () => {
+    const engine = new GameEngine(20, 20, {seed: 1, difficulty: 'normal'});
+    putApple(engine, 0, 0);
+    engine.state.speedUps = 6;
+    putFood(engine, 'slow', 11, 10);
+    putFood(engine, 'slow', 12, 10);
+    engine.resume();
+    engine.tick();
+    assert.equal(engine.state.speedUps, 2);
+    assert.equal(engine.state.fps, 11);
+    engine.tick();
+    assert.equal(engine.state.speedUps, 0);
+    assert.equal(engine.state.fps, 10);
+});
+
+test('food that isn\'t eaten in time goes away', () => {
+    const engine = new GameEngine(20, 20, {seed: 1});
+    putApple(engine, 0, 0);
+    putFood(engine, 'golden', 5, 5, 2);
+    engine.resume();
+    engine.tick();
+    assert.notEqual(engine.foodAt(5, 5), null);
+    engine.tick();
+    assert.equal(engine.foodAt(5, 5), null);
+    assert.deepEqual(engine.state.foods, []);
+});
+
+test('other food only turns up when the food option is on', () => {
+    // a chance of 0 always comes up
+    const random = new SeededRandom(1);
+    random.next = () => 0;
+    const plain = new GameEngine(20, 20, {random: random});
+    assert.equal(plain.spawnFood(), null);
+
+    const engine = new GameEngine(20, 20, {food: true, random: random});
+    const foods = [];
+    for (let i = 0; i < Food.MaxExtra + 1; i++) {
+        foods.push(engine.spawnFood());
+    }
+    assert.equal(engine.state.foods.length, Food.MaxExtra);
+    assert.equal(foods[Food.MaxExtra], null);
+    for (let i = 0; i < Food.MaxExtra; i++) {
+        assert.equal(engine.foodAt(foods[i].x, foods[i].y), foods[i]);
+    }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine);
+
+test('a rectangle covers every cell inside it', () => {
+    const grid = new OccupancyGrid(5, 4);
+    const box = {};
+    grid.add(box, 1, 1, 3, 2);
+    for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 5; x++) {
+            const inside = x >= 1 && x <= 3 && y >= 1 && y <= 2;
+            assert.equal(grid.has(x, y, box), inside, `(${x}, ${y})`);
+            assert.equal(grid.isFree(x, y), !inside, `(${x}, ${y})`);
+        }
+    }
+    assert.equal(grid.occupiedCount, 6);
+    grid.remove(box, 1, 1, 3, 2);
+    assert.equal(grid.occupiedCount, 0);
+    assert.equal(grid.freeCells().length, 20);
+});
+
+test('overlapping occupants share a cell until both have left', () => {
+    const grid = new OccupancyGrid(4, 4);
+    const worm = {};
+    const apple = {};
+    grid.add(worm, 0, 0, 2, 2);
+    grid.add(apple, 1, 1, 2, 2);
+    assert.deepEqual(grid.at(1, 1), [worm, apple]);
+    assert.equal(grid.occupiedCount, 7);
+    grid.remove(worm, 0, 0, 2, 2);
+    assert.deepEqual(grid.at(1, 1), [apple]);
+    assert.ok(grid.isFree(0, 0));
+    assert.equal(grid.occupiedCount, 4);
+});
+
+test('an occupant added to a cell twice is counted twice and has to be removed twice', () => {
+    const grid = new OccupancyGrid(3, 3);
+    const worm = {};
+    grid.add(worm, 1, 1);
+    grid.add(worm, 1, 1);
+    assert.equal(grid.count(1, 1, worm), 2);
+    grid.remove(worm, 1, 1);
+    assert.equal(grid.count(1, 1, worm), 1);
+    assert.ok(!grid.isFree(1, 1));
+    grid.remove(worm, 1, 1);
+    assert.ok(grid.isFree(1, 1));
+});
+
+test('cells off the grid are ignored', () => {
+    const grid = new OccupancyGrid(3, 3);
+    const wall = {};
+    grid.add(wall, -1, -1, 2, 5);
+    assert.equal(grid.occupiedCount, 3);
+    assert.deepEqual(grid.at(-1, 0), []);
+    assert.ok(!grid.isFree(-1, 0));
+    assert.ok(!grid.contains(3, 0));
+    grid.remove(wall, -1, -1, 2, 5);
+    assert.equal(grid.occupiedCount, 0);
+});
+
+test('the grid is full when no cell is free', () => {
+    const grid = new OccupancyGrid(2, 2);
+    const worm = {};
+    grid.add(worm, 0, 0, 2, 1);
+    grid.add(worm, 0, 1);
+    assert.ok(!grid.isFull());
+    assert.deepEqual(grid.freeCells(), [{x: 1, y: 1}]);
+    grid.add(worm, 1, 1);
+    assert.ok(grid.isFull());
+    assert.deepEqual(grid.freeCells(), []);
+});
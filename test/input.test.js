@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine, 'input.js');
+
+/** A game that writes down the swipes and taps it gets */
+function fakeGame() {
+    return {
+        swipes: [],
+        taps: [],
+        swipe(direction) {
+            this.swipes.push(direction);
+        },
+        tap(x, y) {
+            this.taps.push({x: x, y: y});
+        }
+    };
+}
+
+/** A 400x300 canvas shown at half size, 100 pixels from the top left of the page */
+function fakeCanvas() {
+    return {
+        width: 400,
+        height: 300,
+        listeners: {},
+        getBoundingClientRect() {
+            return {left: 100, top: 100, width: 200, height: 150};
+        },
+        addEventListener(type, listener) {
+            this.listeners[type] = listener;
+        },
+        removeEventListener(type) {
+            delete this.listeners[type];
+        },
+        /** Send a touch event for one finger at a page position */
+        touch(type, clientX, clientY, identifier = 0) {
+            this.listeners[type]({
+                changedTouches: [{identifier: identifier, clientX: clientX, clientY: clientY}],
+                preventDefault() {}
+            });
+        }
+    };
+}
+
+function attached() {
+    const game = fakeGame();
+    const canvas = fakeCanvas();
+    const controls = new TouchControls(game, canvas);
+    controls.attach();
+    return {game: game, canvas: canvas, controls: controls};
+}
+
+test('a swipe turns the worm, and a finger kept moving can turn it again', () => {
+    const {game, canvas} = attached();
+    canvas.touch('touchstart', 150, 150);
+    canvas.touch('touchmove', 155, 150);
+    assert.deepEqual(game.swipes, []);
+    canvas.touch('touchmove', 162, 152);
+    assert.deepEqual(game.swipes, [Direction.RIGHT]);
+    canvas.touch('touchmove', 164, 140);
+    assert.deepEqual(game.swipes, [Direction.RIGHT, Direction.UP]);
+    canvas.touch('touchend', 164, 140);
+    assert.deepEqual(game.taps, []);
+});
+
+test('a quick touch that hardly moves is a tap at the canvas position', () => {
+    const {game, canvas} = attached();
+    canvas.touch('touchstart', 150, 120);
+    canvas.touch('touchend', 152, 121);
+    assert.deepEqual(game.taps, [{x: 104, y: 42}]);
+    assert.deepEqual(game.swipes, []);
+});
+
+test('a long press is not a tap', () => {
+    const {game, canvas, controls} = attached();
+    canvas.touch('touchstart', 150, 120);
+    controls.touch.time -= TouchControls.Defaults.tapTime + 1;
+    canvas.touch('touchend', 150, 120);
+    assert.deepEqual(game.taps, []);
+});
+
+test('only the first finger down is followed', () => {
+    const {game, canvas} = attached();
+    canvas.touch('touchstart', 150, 150, 1);
+    canvas.touch('touchstart', 200, 200, 2);
+    canvas.touch('touchmove', 150, 180, 2);
+    assert.deepEqual(game.swipes, []);
+    canvas.touch('touchmove', 150, 180, 1);
+    assert.deepEqual(game.swipes, [Direction.DOWN]);
+});
+
+test('detached controls stop listening', () => {
+    const {canvas, controls} = attached();
+    controls.detach();
+    assert.deepEqual(canvas.listeners, {});
+});
+
+test('a swipe goes along the axis it moved furthest', () => {
+    assert.equal(TouchControls.swipeDirection({x: 0, y: 0}, {x: -30, y: 20}, 20), Direction.LEFT);
+    assert.equal(TouchControls.swipeDirection({x: 0, y: 0}, {x: 10, y: 25}, 20), Direction.DOWN);
+    assert.equal(TouchControls.swipeDirection({x: 0, y: 0}, {x: 10, y: -19}, 20), null);
+});
+
+/** A gamepad in the standard mapping with nothing pressed */
+function fakePad(index = 0) {
+    const buttons = [];
+    for (let i = 0; i < 17; i++) {
+        buttons.push({pressed: false});
+    }
+    return {index: index, connected: true, buttons: buttons, axes: [0, 0, 0, 0]};
+}
+
+/** Plug gamepads in, as navigator.getGamepads() reports them */
+function plugIn(...pads) {
+    Object.defineProperty(global, 'navigator', {
+        value: {getGamepads: () => pads},
+        configurable: true,
+        writable: true
+    });
+}
+
+/** A game that writes down the actions it is asked to perform */
+function actionGame() {
+    return {
+        actions: [],
+        perform(action) {
+            this.actions.push(action);
+        }
+    };
+}
+
+test('the D-pad turns the worm once per press', () => {
+    const pad = fakePad();
+    plugIn(pad, null);
+    const game = actionGame();
+    const controls = new GamepadControls(game);
+    controls.poll();
+    pad.buttons[12].pressed = true;
+    controls.poll();
+    controls.poll();
+    assert.deepEqual(game.actions, ['up']);
+    pad.buttons[12].pressed = false;
+    pad.buttons[15].pressed = true;
+    controls.poll();
+    assert.deepEqual(game.actions, ['up', 'right']);
+});
+
+test('the stick turns the worm once it is pushed past the deadzone', () => {
+    const pad = fakePad();
+    plugIn(pad);
+    const game = actionGame();
+    const controls = new GamepadControls(game, {deadzone: 0.5});
+    pad.axes[0] = -0.4;
+    controls.poll();
+    assert.deepEqual(game.actions, []);
+    pad.axes[0] = -0.6;
+    pad.axes[1] = 0.3;
+    controls.poll();
+    pad.axes[0] = -0.9;
+    controls.poll();
+    assert.deepEqual(game.actions, ['left']);
+    pad.axes[0] = 0;
+    controls.poll();
+    pad.axes[0] = -0.9;
+    controls.poll();
+    assert.deepEqual(game.actions, ['left', 'left']);
+});
+
+test('buttons perform their actions when pressed, not while held', () => {
+    const pad = fakePad();
+    plugIn(pad);
+    const game = actionGame();
+    const controls = new GamepadControls(game);
+    pad.buttons[0].pressed = true;
+    controls.poll();
+    controls.poll();
+    pad.buttons[8].pressed = true;
+    controls.poll();
+    pad.buttons[1].pressed = true;
+    controls.poll();
+    assert.deepEqual(game.actions, ['pause', 'mute']);
+});
+
+test('each gamepad is followed on its own', () => {
+    const first = fakePad(0);
+    const second = fakePad(1);
+    plugIn(first, second);
+    const game = actionGame();
+    const controls = new GamepadControls(game);
+    first.buttons[13].pressed = true;
+    second.buttons[13].pressed = true;
+    controls.poll();
+    assert.deepEqual(game.actions, ['down', 'down']);
+    second.connected = false;
+    assert.deepEqual(controls.connected(), [first]);
+});
+
+test('the stick points along the axis pushed furthest', () => {
+    assert.equal(GamepadControls.stickDirection(0.6, -0.7, 0.5), Direction.UP);
+    assert.equal(GamepadControls.stickDirection(0.8, 0.7, 0.5), Direction.RIGHT);
+    assert.equal(GamepadControls.stickDirection(0.4, 0.4, 0.5), null);
+});
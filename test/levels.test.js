@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine);
+
+/** A small level with the worm starting in the middle of a walled box */
+const Small = Level.add(Level.parse(`
+name: Test Small
+target: 1
+next: Test Last
+#######
+#.....#
+#...>.#
+#.....#
+#######
+`));
+
+const Last = Level.add(Level.parse(`
+name: Test Last
+target: 1
+direction: down
+#####
+#...#
+#...#
+#.S.#
+#...#
+#####
+`));
+
+/**
+ * Move the apple to a cell, e.g. right in front of the worm
+ */
+function putApple(engine, x, y) {
+    const apple = engine.state.apple;
+    engine.grid.remove(apple, apple.x, apple.y);
+    engine.state.apple = new Apple(x, y);
+    engine.grid.add(engine.state.apple, x, y);
+}
+
+test('a level is read from its headers and grid', () => {
+    assert.equal(Small.name, 'Test Small');
+    assert.equal(Small.width, 7);
+    assert.equal(Small.height, 5);
+    assert.equal(Small.target, 1);
+    assert.equal(Small.next, 'Test Last');
+    assert.deepEqual(Small.start, {x: 4, y: 2});
+    assert.equal(Small.direction, Direction.RIGHT);
+    assert.deepEqual(Small.startParts(), [{x: 2, y: 2}, {x: 3, y: 2}, {x: 4, y: 2}]);
+    assert.equal(Small.walls.length, 20);
+    assert.ok(Small.isWall(0, 0));
+    assert.ok(!Small.isWall(1, 1));
+    assert.equal(Last.direction, Direction.DOWN);
+    assert.deepEqual(Last.startParts(), [{x: 2, y: 1}, {x: 2, y: 2}, {x: 2, y: 3}]);
+});
+
+test('levels that can\'t be played are refused', () => {
+    assert.throws(() => Level.parse('#S..#'), /needs a name/);
+    assert.throws(() => Level.parse('name: Empty\n'), /has no grid/);
+    assert.throws(() => Level.parse('name: Nowhere\n#....#'), /has no start/);
+    assert.throws(() => Level.parse('name: Twice\n..S..S'), /more than one start, at line 2/);
+    assert.throws(() => Level.parse('name: Odd\n..S..x'), /unknown cell 'x' at line 2/);
+    assert.throws(() => Level.parse('name: Sideways\ndirection: north\n..S..'), /unknown direction: north/);
+    assert.throws(() => Level.parse('name: Greedy\ntarget: -1\n..S..'), /invalid target: -1/);
+    assert.throws(() => Level.parse('name: Cramped\n.#S..'), /no room for the worm/);
+});
+
+test('the built-in levels follow each other and the last one has nothing after it', () => {
+    for (let i = 0; i + 1 < Level.BuiltIn.length; i++) {
+        assert.equal(Level.after(Level.BuiltIn[i]), Level.BuiltIn[i + 1]);
+    }
+    assert.equal(Level.after(Level.BuiltIn[Level.BuiltIn.length - 1]), null);
+    assert.equal(Level.after(Small), Last);
+});
+
+test('a game on a level is played on the level\'s board', () => {
+    const engine = new GameEngine(20, 20, {level: 'Test Small'});
+    assert.deepEqual(engine.board, {width: 7, height: 5});
+    assert.equal(engine.state.level, Small);
+    assert.deepEqual(engine.state.worm.parts, Small.startParts());
+    assert.ok(!Small.isWall(engine.state.apple.x, engine.state.apple.y));
+});
+
+test('an unknown level is refused', () => {
+    assert.throws(() => new GameEngine(20, 20, {level: 'Nowhere'}), /Unknown level: Nowhere/);
+});
+
+test('the worm crashes into a wall', () => {
+    const engine = new GameEngine(20, 20, {level: 'Test Small'});
+    putApple(engine, 1, 1);
+    engine.resume();
+    engine.tick();
+    assert.equal(engine.state.gameState, GameEngine.GameState.PLAYING);
+    engine.tick();
+    assert.equal(engine.state.gameState, GameEngine.GameState.GAMEOVER);
+});
+
+test('reaching the target moves on to the next level, and finishing the last level wins', () => {
+    const engine = new GameEngine(20, 20, {level: 'Test Small'});
+    const completed = [];
+    engine.addListener('levelComplete', (state, level) => completed.push(level.name));
+    engine.resume();
+    putApple(engine, 5, 2);
+    engine.tick();
+    assert.deepEqual(completed, ['Test Small']);
+    assert.equal(engine.state.level, Last);
+    assert.equal(engine.state.score, 1);
+    assert.equal(engine.state.levelScore, 0);
+    assert.deepEqual(engine.board, {width: 5, height: 6});
+    assert.equal(engine.state.gameState, GameEngine.GameState.PLAYING);
+
+    putApple(engine, 2, 4);
+    engine.tick();
+    assert.deepEqual(completed, ['Test Small', 'Test Last']);
+    assert.equal(engine.state.gameState, GameEngine.GameState.WON);
+});
@@ -0,0 +1,35 @@
+/**
+ * Loads the game's scripts into the global scope of the test, as the browser
+ * does with the script tags in index.html, so the tests can use the classes
+ * they define.  Each script is only loaded once.
+ *
+ * Copyright 2018 Ben Ingle
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const loaded = new Set();
+
+/**
+ * @param {...string} files Scripts under js/, in the order index.html has them
+ */
+function load(...files) {
+    for (const file of files) {
+        if (loaded.has(file)) {
+            continue;
+        }
+        const filename = path.join(__dirname, '..', 'js', file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), {filename: filename});
+        loaded.add(file);
+        if (file === 'logger.js') {
+            // only the problems, not every apple eaten
+            Logger.GlobalLogger.level = Logger.LogLevel.WARN;
+        }
+    }
+}
+
+/** The scripts the GameEngine needs */
+load.Engine = ['logger.js', 'random.js', 'difficulty.js', 'engine.js', 'food.js', 'powerups.js', 'levels.js'];
+
+module.exports = load;
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load('logger.js');
+
+/** A logger whose records go to a list */
+function recordingLogger(level = Logger.LogLevel.INFO) {
+    const sink = new RingBufferSink();
+    return {logger: new Logger(level, [sink]), records: sink.records};
+}
+
+test('messages below the level are dropped', () => {
+    const {logger, records} = recordingLogger(Logger.LogLevel.WARN);
+    logger.info('not this');
+    logger.warn('this');
+    logger.error('and this');
+    assert.deepEqual(records.map(record => record.message), ['this', 'and this']);
+});
+
+test('records carry the namespace, frame and context', () => {
+    const {logger, records} = recordingLogger();
+    logger.frame = 12;
+    const input = logger.child('input', {player: 1});
+    input.info('Handling key press', {code: 'KeyS'});
+    const record = records[0];
+    assert.equal(record.namespace, 'input');
+    assert.equal(record.frame, 12);
+    assert.equal(record.level, Logger.LogLevel.INFO);
+    assert.deepEqual(record.context, {player: 1, code: 'KeyS'});
+    assert.equal(input.child('gamepad').namespace, 'input.gamepad');
+});
+
+test('namespaces take their own level, or the one of the namespace they are in', () => {
+    const {logger, records} = recordingLogger();
+    const audio = logger.child('audio');
+    const mixer = audio.child('mixer');
+    logger.setLevel('audio', Logger.LogLevel.TRACE);
+    mixer.trace('ducking');
+    logger.child('game').debug('dropped');
+    logger.setLevel('audio', null);
+    mixer.debug('dropped too');
+    assert.deepEqual(records.map(record => record.namespace + ': ' + record.message), ['audio.mixer: ducking']);
+});
+
+test('Logger.get() gives the same child of the global logger each time', () => {
+    const storage = Logger.get('storage');
+    assert.equal(Logger.get('storage'), storage);
+    assert.equal(storage.root, Logger.GlobalLogger);
+    assert.equal(storage.namespace, 'storage');
+});
+
+test('records are formatted as one line', () => {
+    const time = new Date(2018, 5, 1, 12, 4, 31, 250).getTime();
+    const record = {time: time, frame: 310, level: Logger.LogLevel.DEBUG, namespace: 'input',
+        message: 'Handling key press', context: {code: 'KeyS'}};
+    assert.equal(Logger.format(record), '12:04:31.250 #310 DEBUG [input]: Handling key press {"code":"KeyS"}');
+    assert.equal(Logger.format(Object.assign({}, record, {frame: null, namespace: '', context: {}})),
+        '12:04:31.250 DEBUG: Handling key press');
+});
+
+test('the ring buffer keeps only the latest records', () => {
+    const sink = new RingBufferSink(2);
+    const logger = new Logger(Logger.LogLevel.INFO, [sink]);
+    ['one', 'two', 'three'].forEach(message => logger.info(message));
+    assert.deepEqual(sink.records.map(record => record.message), ['two', 'three']);
+    assert.equal(sink.lines(1).length, 1);
+    assert.ok(sink.lines(1)[0].endsWith('INFO: three'));
+    sink.clear();
+    assert.deepEqual(sink.lines(), []);
+});
+
+test('the remote sink sends warnings and errors in batches', async () => {
+    const endpoint = new StandInEndpoint();
+    const sink = new RemoteSink('/log', {batchSize: 2, send: endpoint.send});
+    const logger = new Logger(Logger.LogLevel.TRACE, [sink]);
+    logger.info('not sent');
+    logger.warn('first');
+    assert.deepEqual(endpoint.received, []);
+    logger.error('second');
+    await sink.flush();
+    assert.deepEqual(endpoint.received.map(record => record.level + ' ' + record.message), ['WARN first', 'ERROR second']);
+    assert.equal(typeof endpoint.received[0].time, 'string');
+});
+
+test('records that can\'t be sent are counted', async () => {
+    const sink = new RemoteSink('/log', {send: () => Promise.reject(new Error('offline'))});
+    const logger = new Logger(Logger.LogLevel.INFO, [sink]);
+    logger.warn('lost');
+    logger.error('lost too');
+    await sink.flush();
+    assert.equal(sink.dropped, 2);
+    assert.equal(sink.queue.length, 0);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load('logger.js', 'mixer.js');
+
+/** A gain AudioParam that records what was scheduled on it */
+function param() {
+    const calls = [];
+    return {
+        calls: calls,
+        cancelScheduledValues: when => calls.push(['cancel', when]),
+        setValueAtTime: (value, when) => calls.push(['set', value, when]),
+        setTargetAtTime: (value, when) => calls.push(['target', value, when])
+    };
+}
+
+/** Just enough of an AudioContext for a Mixer */
+function fakeContext(state = 'running') {
+    const context = {
+        currentTime: 1,
+        state: state,
+        destination: {name: 'speakers'},
+        createGain: () => ({
+            gain: param(),
+            connect(destination) {
+                this.destination = destination;
+            }
+        }),
+        resume() {
+            this.state = 'running';
+            return Promise.resolve();
+        }
+    };
+    return context;
+}
+
+test('music and effects go through the master channel to the speakers', () => {
+    const context = fakeContext();
+    const mixer = new Mixer(context);
+    assert.equal(mixer.music.destination, mixer.master);
+    assert.equal(mixer.sfx.destination, mixer.master);
+    assert.equal(mixer.master.destination, context.destination);
+    for (const channel of Mixer.Channels) {
+        assert.equal(mixer.level(channel), 1);
+    }
+});
+
+test('levels are kept between 0 and 1, on known channels only', () => {
+    const mixer = new Mixer(fakeContext());
+    mixer.setLevel('sfx', 0.5);
+    assert.deepEqual(mixer.sfx.gain.calls, [['cancel', 1], ['set', 0.5, 1]]);
+    mixer.setLevel('master', 2);
+    assert.equal(mixer.level('master'), 1);
+    mixer.setLevel('music', -1);
+    assert.equal(mixer.level('music'), 0);
+    assert.throws(() => mixer.setLevel('voice', 1), /Unknown channel: voice/);
+});
+
+test('ducking turns the music down until the latest effect ends', () => {
+    const mixer = new Mixer(fakeContext());
+    mixer.setLevel('music', 0.5);
+    const gain = mixer.music.gain;
+    gain.calls.length = 0;
+    mixer.duck(3);
+    mixer.duck(2);
+    assert.equal(mixer.duckedUntil, 3);
+    assert.deepEqual(gain.calls.slice(-3), [['cancel', 1], ['target', 0.5 * Mixer.DuckLevel, 1], ['target', 0.5, 3]]);
+});
+
+test('changing the music level while it is ducked keeps it ducked', () => {
+    const mixer = new Mixer(fakeContext());
+    mixer.duck(3);
+    const gain = mixer.music.gain;
+    gain.calls.length = 0;
+    mixer.setLevel('music', 0.8);
+    assert.deepEqual(gain.calls.slice(-2), [['target', 0.8 * Mixer.DuckLevel, 1], ['target', 0.8, 3]]);
+
+    mixer.context.currentTime = 4;
+    mixer.setLevel('music', 0.6);
+    assert.deepEqual(gain.calls.slice(-1), [['set', 0.6, 4]]);
+});
+
+test('a suspended context is resumed, and a failure to resume is only logged', async () => {
+    const context = fakeContext('suspended');
+    await new Mixer(context).resume();
+    assert.equal(context.state, 'running');
+
+    const blocked = fakeContext('suspended');
+    blocked.resume = () => Promise.reject(new Error('not allowed'));
+    await new Mixer(blocked).resume();
+    assert.equal(blocked.state, 'suspended');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load('logger.js', 'sounds.js', 'music.js');
+
+/** A voice that records what it was asked to play */
+function voice() {
+    return {
+        played: [],
+        start(frequency) {
+            this.played.push(frequency);
+        },
+        stop() {
+            this.played.push('stop');
+        }
+    };
+}
+
+test('notes are read with their frequencies and lengths', () => {
+    assert.deepEqual(Sequencer.parse(' A4:0.5  R:2 C#5 '), [
+        {name: 'A4', frequency: Notes.A4, steps: 2},
+        {name: 'R', frequency: null, steps: 8},
+        {name: 'C#5', frequency: Notes.CSharp5, steps: 4}
+    ]);
+    assert.equal(Sequencer.frequency('Bb3'), Notes.BFlat3);
+    assert.throws(() => Sequencer.parse('H4'), /Unknown note: H4/);
+    assert.throws(() => Sequencer.parse('A4:0'), /Bad note length: A4:0/);
+});
+
+test('each track plays its notes for their length and loops on its own', () => {
+    const voices = [voice(), voice()];
+    const sequencer = new Sequencer({name: 'test', tracks: [{notes: 'A4 R:0.5'}, {notes: 'C4:0.25'}]}, voices);
+    for (let i = 0; i < 7; i++) {
+        sequencer.step();
+    }
+    assert.deepEqual(voices[0].played, [Notes.A4, 'stop', Notes.A4]);
+    assert.equal(voices[1].played.length, 7);
+});
+
+test('notes cut off by stop() start again, and rewind() goes back to the start', () => {
+    const voices = [voice()];
+    const sequencer = new Sequencer({name: 'test', tracks: [{notes: 'A4 B4'}]}, voices);
+    sequencer.step();
+    sequencer.stop();
+    sequencer.step();
+    sequencer.step();
+    assert.deepEqual(voices[0].played, [Notes.A4, 'stop', Notes.A4]);
+    for (let i = 0; i < 2; i++) {
+        sequencer.step();
+    }
+    sequencer.rewind();
+    sequencer.step();
+    assert.deepEqual(voices[0].played.slice(-3), [Notes.B4, 'stop', Notes.A4]);
+});
+
+test('every song can be played, and levels without one get the classic song', () => {
+    for (const name in Sequencer.Songs) {
+        for (const track of Sequencer.Songs[name].tracks) {
+            assert.ok(Sequencer.parse(track.notes).length > 0, name);
+        }
+    }
+    assert.equal(Sequencer.songFor('Box').name, 'Box');
+    assert.equal(Sequencer.songFor('Nowhere').name, Sequencer.DefaultSong);
+    assert.equal(Sequencer.songFor(null).name, Sequencer.DefaultSong);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine);
+
+/**
+ * Move the apple to a cell, e.g. out of the worm's way
+ */
+function putApple(engine, x, y) {
+    const apple = engine.state.apple;
+    engine.grid.remove(apple, apple.x, apple.y);
+    engine.state.apple = new Apple(x, y);
+    engine.grid.add(engine.state.apple, x, y);
+}
+
+/**
+ * Put a food of the given type on a cell, e.g. right in front of the worm
+ */
+function putFood(engine, name, x, y) {
+    const food = new Food(Food.Types[name], x, y);
+    engine.state.foods.push(food);
+    engine.grid.add(food, x, y);
+    return food;
+}
+
+/** A game on a 20x20 board with the apple tucked away in a corner */
+function newGame(options = {}) {
+    const engine = new GameEngine(20, 20, Object.assign({seed: 1}, options));
+    putApple(engine, 0, 19);
+    engine.resume();
+    return engine;
+}
+
+test('every power-up can be eaten as food', () => {
+    for (let name in PowerUp.Types) {
+        assert.equal(Food.Types[name].powerUp, name);
+    }
+});
+
+test('eating a power-up gives the worm its effect until it runs out', () => {
+    const engine = newGame();
+    const events = [];
+    engine.addListener('powerUp', (state, player, effect) => events.push('up ' + effect.type.name));
+    engine.addListener('powerDown', (state, player, type) => events.push('down ' + type.name));
+    putFood(engine, 'invincible', 11, 10);
+    engine.tick();
+    assert.deepEqual(engine.effectsOf(0).map(effect => effect.type.name), ['invincible']);
+    assert.equal(engine.effectsOf(0)[0].expires, 1 + PowerUp.Types.invincible.duration);
+    assert.equal(engine.state.worm.size(), 3);
+    engine.state.frame = PowerUp.Types.invincible.duration;
+    engine.tick([Direction.UP]);
+    assert.deepEqual(engine.effectsOf(0), []);
+    assert.deepEqual(events, ['up invincible', 'down invincible']);
+});
+
+test('another of the same power-up refreshes, extends or stacks the effect', () => {
+    const engine = newGame();
+    const types = PowerUp.Types;
+    engine.addEffect(0, types.invincible);
+    engine.addEffect(0, types.ghost);
+    engine.addEffect(0, types.multiplier);
+    engine.state.frame = 10;
+    engine.addEffect(0, types.invincible);
+    engine.addEffect(0, types.ghost);
+    for (let i = 0; i < 5; i++) {
+        engine.addEffect(0, types.multiplier);
+    }
+    const effects = engine.state.effects[0];
+    assert.equal(effects.invincible.expires, 10 + types.invincible.duration);
+    assert.equal(effects.ghost.expires, 2 * types.ghost.duration);
+    assert.equal(effects.multiplier.expires, 10 + types.multiplier.duration);
+    assert.equal(effects.multiplier.stacks, types.multiplier.maxStacks);
+    assert.equal(PowerUp.describe(effects.multiplier), 'Score x4');
+    assert.equal(PowerUp.describe(effects.ghost), 'Ghost');
+});
+
+test('the score multiplier multiplies the points for eating', () => {
+    const engine = newGame();
+    engine.addEffect(0, PowerUp.Types.multiplier);
+    engine.addEffect(0, PowerUp.Types.multiplier);
+    putFood(engine, 'bonus', 11, 10);
+    engine.tick();
+    assert.equal(engine.state.score, 9);
+    // only the points themselves count toward a level's target
+    assert.equal(engine.state.levelScore, 3);
+});
+
+test('a ghost goes through its own body', () => {
+    const engine = newGame();
+    engine.state.worm.growth = 3;
+    engine.addEffect(0, PowerUp.Types.ghost);
+    engine.tick();
+    engine.tick([Direction.DOWN]);
+    engine.tick([Direction.LEFT]);
+    engine.tick([Direction.UP]);
+    assert.ok(engine.state.worm.isSelfCollision());
+    assert.equal(engine.state.gameState, GameEngine.GameState.PLAYING);
+});
+
+test('an invincible worm goes through walls and wraps around the edges', () => {
+    const engine = new GameEngine(40, 30, {seed: 1, level: 'Box'});
+    putApple(engine, 1, 1);
+    engine.resume();
+    engine.addEffect(0, PowerUp.Types.invincible);
+    const start = engine.state.worm.getHead();
+    engine.tick([Direction.UP]);
+    for (let i = 1; i <= start.y; i++) {
+        engine.tick();
+    }
+    assert.equal(engine.state.gameState, GameEngine.GameState.PLAYING);
+    const bottom = engine.board.height - 1;
+    assert.deepEqual(engine.state.worm.getHead(), {x: start.x, y: bottom});
+    assert.ok(engine.isWall(start.x, bottom));
+});
+
+test('slow motion halves the speed the game runs at', () => {
+    const engine = newGame({speed: 12});
+    engine.addEffect(0, PowerUp.Types.slowmo);
+    assert.equal(engine.speed(), 6);
+    assert.equal(engine.state.fps, 12);
+});
+
+test('the magnet pulls the apple toward the worm', () => {
+    const engine = newGame();
+    putApple(engine, 16, 10);
+    engine.addEffect(0, PowerUp.Types.magnet);
+    engine.tick([Direction.DOWN]);
+    engine.tick();
+    assert.deepEqual({x: engine.state.apple.x, y: engine.state.apple.y}, {x: 15, y: 10});
+});
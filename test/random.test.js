@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine);
+
+/**
+ * The first numbers of a sequence
+ */
+function sequence(random, count = 10) {
+    const numbers = [];
+    for (let i = 0; i < count; i++) {
+        numbers.push(random.next());
+    }
+    return numbers;
+}
+
+test('the same seed always gives the same sequence', () => {
+    assert.deepEqual(sequence(new SeededRandom(1234)), sequence(new SeededRandom(1234)));
+    assert.notDeepEqual(sequence(new SeededRandom(1234)), sequence(new SeededRandom(1235)));
+});
+
+test('reseeding starts the sequence over', () => {
+    const random = new SeededRandom(99);
+    const first = sequence(random);
+    random.reseed(99);
+    assert.deepEqual(sequence(random), first);
+});
+
+test('numbers stay in range', () => {
+    const random = new SeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+        const next = random.next();
+        assert.ok(next >= 0 && next < 1);
+        const int = random.nextInt(5);
+        assert.ok(Number.isInteger(int) && int >= 0 && int < 5);
+    }
+});
+
+test('seeds are kept as 32 bit unsigned integers', () => {
+    assert.equal(new SeededRandom(-1).seed, 4294967295);
+    assert.equal(new SeededRandom(4294967296 + 5).seed, 5);
+});
+
+test('games with the same seed put the apples in the same places', () => {
+    const apples = seed => {
+        const engine = new GameEngine(40, 30, {seed: seed});
+        const cells = [];
+        for (let i = 0; i < 20; i++) {
+            const apple = engine.randomApple();
+            cells.push([apple.x, apple.y]);
+        }
+        return cells;
+    };
+    assert.deepEqual(apples(1234), apples(1234));
+    assert.notDeepEqual(apples(1234), apples(4321));
+});
+
+test('a run of games is reproducible from the first seed', () => {
+    const seeds = () => {
+        const engine = new GameEngine(40, 30, {seed: 5});
+        return [engine.state.seed, engine.reset().seed, engine.reset().seed];
+    };
+    assert.deepEqual(seeds(), seeds());
+    assert.equal(seeds()[0], 5);
+});
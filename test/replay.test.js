@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine, 'replay.js');
+
+/**
+ * What a game ended up as, to compare two games
+ */
+function summary(state) {
+    return {
+        gameState: state.gameState,
+        frame: state.frame,
+        score: state.score,
+        worm: state.worm.parts,
+        apple: state.apple && {x: state.apple.x, y: state.apple.y}
+    };
+}
+
+/**
+ * Play a game by heading for the apple, never minding the worm's own body
+ */
+function chase(engine, frames) {
+    engine.resume();
+    while (engine.state.gameState === GameEngine.GameState.PLAYING && engine.state.frame < frames) {
+        const head = engine.state.worm.getHead();
+        const apple = engine.state.apple;
+        let direction = null;
+        if (apple.x !== head.x) {
+            direction = apple.x > head.x ? Direction.RIGHT : Direction.LEFT;
+        } else {
+            direction = apple.y > head.y ? Direction.DOWN : Direction.UP;
+        }
+        if (!engine.state.worm.canTurn(direction) && direction !== engine.state.worm.direction) {
+            direction = engine.state.worm.direction.x === 0 ? Direction.RIGHT : Direction.DOWN;
+        }
+        engine.tick(direction);
+    }
+    return engine.state;
+}
+
+/**
+ * Step a replay to the end, or to a frame
+ */
+function playBack(player, frames) {
+    while (!player.isFinished() && player.engine.state.frame < frames) {
+        player.step();
+    }
+    return player.engine.state;
+}
+
+test('a recorded game plays back the same', () => {
+    const engine = new GameEngine(40, 30, {seed: 99});
+    const recorder = new ReplayRecorder(engine);
+    const played = summary(chase(engine, 2000));
+    assert.ok(played.score > 0);
+    assert.ok(recorder.turns.length > 0);
+
+    const other = new GameEngine(40, 30, {seed: 1});
+    const player = new ReplayPlayer(other, recorder.export());
+    assert.deepEqual(summary(playBack(player, played.frame)), played);
+});
+
+test('a replay is played with the options it was recorded with', () => {
+    const engine = new GameEngine(40, 30, {seed: 99, wrap: true});
+    const recorder = new ReplayRecorder(engine);
+    const played = summary(chase(engine, 500));
+    assert.equal(recorder.toReplay().wrap, true);
+
+    const other = new GameEngine(40, 30, {seed: 1, wrap: false});
+    const player = new ReplayPlayer(other, recorder.export());
+    assert.equal(other.options.wrap, true);
+    assert.deepEqual(summary(playBack(player, played.frame)), played);
+    player.stop();
+    assert.equal(other.options.wrap, false);
+});
+
+test('the second player\'s turns are played back for the second worm', () => {
+    const engine = new GameEngine(40, 30, {seed: 4, players: 2});
+    const recorder = new ReplayRecorder(engine);
+    engine.resume();
+    engine.tick([null, Direction.UP]);
+    engine.tick([Direction.DOWN, null]);
+    engine.tick([null, Direction.LEFT]);
+    for (let i = 0; i < 5; i++) {
+        engine.tick();
+    }
+    assert.deepEqual(recorder.turns, [[0, 'U', 1], [1, 'D'], [2, 'L', 1]]);
+    assert.equal(recorder.toReplay().players, 2);
+
+    const other = new GameEngine(40, 30, {seed: 1});
+    const player = new ReplayPlayer(other, recorder.export());
+    assert.equal(other.options.players, 2);
+    playBack(player, engine.state.frame);
+    assert.deepEqual(other.state.worms[1].parts, engine.state.worms[1].parts);
+    assert.deepEqual(other.state.worms[0].parts, engine.state.worms[0].parts);
+    player.stop();
+    assert.equal(other.options.players, 1);
+});
+
+test('a recording starts over when the game is reset', () => {
+    const engine = new GameEngine(40, 30, {seed: 3});
+    const recorder = new ReplayRecorder(engine);
+    engine.turn(Direction.UP);
+    assert.deepEqual(recorder.turns, [[0, 'U']]);
+    engine.reset(8);
+    assert.deepEqual(recorder.toReplay().turns, []);
+    assert.equal(recorder.toReplay().seed, 8);
+});
+
+test('a replay for another board leaves the game as it was', () => {
+    const recorded = new ReplayRecorder(new GameEngine(40, 30, {seed: 99, wrap: true})).export();
+    const engine = new GameEngine(20, 20, {seed: 5});
+    const state = engine.state;
+    assert.throws(() => new ReplayPlayer(engine, recorded), /40x30 board, this board is 20x20/);
+    assert.equal(engine.state, state);
+    assert.equal(engine.state.seed, 5);
+    assert.equal(engine.options.wrap, false);
+});
+
+test('replays that can\'t be read are refused', () => {
+    assert.throws(() => Replay.parse({version: 99, seed: 1, turns: []}), /Unsupported replay version/);
+    assert.throws(() => Replay.parse({version: Replay.Version, turns: []}), /needs a seed/);
+    assert.throws(() => Replay.parse({version: Replay.Version, seed: 1, turns: [[3, 'X']]}), /Invalid turn/);
+    assert.throws(() => Replay.parse('{not json'));
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load('logger.js', 'difficulty.js', 'scores.js');
+
+/** A Storage kept in memory */
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => key in items ? items[key] : null,
+        setItem: (key, value) => {
+            items[key] = String(value);
+        }
+    };
+}
+
+/** A high score entry */
+function entry(score, initials = 'ABC', date = '2018-06-01T12:00:00.000Z') {
+    return {initials: initials, score: score, length: 3 + score, duration: 60, date: date, seed: 1};
+}
+
+const Mode = HighScores.mode({});
+
+test('a mode is the difficulty, level, edges and food a game is played with', () => {
+    assert.equal(Mode, 'normal/classic/walls/apples');
+    assert.equal(HighScores.mode({difficulty: 'hard', level: 'Box', wrap: true, food: true}), 'hard/Box/wrap/food');
+    assert.equal(HighScores.describeMode('hard/Box/wrap/food'), 'Hard, Box, Wrap, Food');
+    assert.equal(HighScores.describeMode(Mode), 'Normal, Classic, Walls, Apples');
+});
+
+test('scores go in their place in the table, below any they tie with', () => {
+    const highScores = new HighScores();
+    assert.equal(highScores.add(Mode, entry(5, 'AAA')), 0);
+    assert.equal(highScores.add(Mode, entry(9, 'BBB')), 0);
+    assert.equal(highScores.add(Mode, entry(5, 'CCC')), 2);
+    assert.deepEqual(highScores.table(Mode).map(e => e.initials), ['BBB', 'AAA', 'CCC']);
+    assert.equal(highScores.best(Mode), 9);
+    assert.equal(highScores.best('hard/classic/walls/apples'), 0);
+    assert.deepEqual(highScores.modes(), [Mode]);
+});
+
+test('only the top ten are kept, and nothing scores for no points', () => {
+    const highScores = new HighScores();
+    for (let score = 1; score <= HighScores.Size; score++) {
+        highScores.add(Mode, entry(score));
+    }
+    assert.equal(highScores.rank(Mode, 1), -1);
+    assert.equal(highScores.add(Mode, entry(1)), -1);
+    assert.equal(highScores.add(Mode, entry(2)), 9);
+    assert.equal(highScores.table(Mode).length, HighScores.Size);
+    assert.equal(highScores.table(Mode)[HighScores.Size - 1].score, 2);
+    assert.equal(new HighScores().rank(Mode, 0), -1);
+});
+
+test('tables are saved and loaded', () => {
+    const storage = memoryStorage();
+    const highScores = new HighScores();
+    highScores.add(Mode, entry(7));
+    highScores.save(storage);
+    assert.deepEqual(HighScores.load(storage).tables, highScores.tables);
+});
+
+test('saved tables that can\'t be read are ignored', () => {
+    const storage = memoryStorage();
+    assert.deepEqual(HighScores.load(storage).tables, {});
+    storage.setItem(HighScores.StorageKey, '{"version": 99, "tables": {}}');
+    assert.deepEqual(HighScores.load(storage).tables, {});
+});
+
+test('imported tables are checked and sorted', () => {
+    assert.throws(() => HighScores.parse('[]'), /Unsupported high scores version/);
+    assert.throws(() => HighScores.parse('{"version": 1}'), /no tables/);
+    assert.throws(() => HighScores.parse(JSON.stringify({version: 1, tables: {[Mode]: {}}})), /Bad high score table/);
+    assert.throws(() => HighScores.parse(JSON.stringify({version: 1, tables: {[Mode]: [{score: 3}]}})), /Bad high score 1 in/);
+    const parsed = HighScores.parse(JSON.stringify({version: 1, tables: {[Mode]: [entry(2), entry(8)]}}));
+    assert.deepEqual(parsed.table(Mode).map(e => e.score), [8, 2]);
+});
+
+test('importing adds the scores that aren\'t already there', () => {
+    const mine = new HighScores();
+    mine.add(Mode, entry(4, 'ME', '2018-06-01T12:00:00.000Z'));
+    const theirs = new HighScores();
+    theirs.add(Mode, entry(4, 'ME', '2018-06-01T12:00:00.000Z'));
+    theirs.add(Mode, entry(6, 'YOU', '2018-06-02T12:00:00.000Z'));
+    theirs.add('hard/Box/wrap/food', entry(1, 'YOU', '2018-06-03T12:00:00.000Z'));
+    assert.equal(mine.merge(HighScores.parse(JSON.stringify(theirs))), 2);
+    assert.deepEqual(mine.table(Mode).map(e => e.initials), ['YOU', 'ME']);
+    assert.equal(mine.best('hard/Box/wrap/food'), 1);
+    assert.equal(mine.merge(theirs), 0);
+});
+
+test('durations are shown as minutes and seconds', () => {
+    assert.equal(HighScores.formatDuration(65.4), '1:05');
+    assert.equal(HighScores.formatDuration(9), '0:09');
+});
+
+test('the initials prompt takes up to three letters or digits', () => {
+    const prompt = new InitialsEntry();
+    prompt.open(2);
+    assert.equal(prompt.value, '???');
+    for (const code of ['KeyA', 'Space', 'Digit7', 'KeyB', 'KeyC']) {
+        assert.equal(prompt.keyDown(code), false);
+    }
+    assert.equal(prompt.initials, 'A7B');
+    prompt.keyDown('Backspace');
+    assert.equal(prompt.value, 'A7');
+    assert.equal(prompt.keyDown('Enter'), true);
+    assert.ok(!prompt.isOpen);
+    assert.equal(prompt.rank, 2);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine, 'scores.js', 'settings.js', 'storage.js');
+
+test('settings start at their defaults', () => {
+    const settings = new Settings();
+    for (const definition of Settings.Definitions) {
+        assert.equal(settings.get(definition.name), definition.default);
+    }
+    assert.equal(settings.get('food'), false);
+});
+
+test('changed settings are saved and loaded', () => {
+    const storage = new MemoryStorage();
+    const settings = Settings.load(storage);
+    settings.set('wrap', true);
+    settings.set('level', 'Box');
+    settings.next('theme');
+
+    const loaded = Settings.load(storage);
+    assert.equal(loaded.get('wrap'), true);
+    assert.equal(loaded.get('level'), 'Box');
+    assert.equal(loaded.get('theme'), 'dark');
+});
+
+test('saved values the game no longer has are replaced by the defaults', () => {
+    const storage = new MemoryStorage({[Settings.StorageKey]: JSON.stringify({level: 'Gone', wrap: true})});
+    const settings = Settings.load(storage);
+    assert.equal(settings.get('level'), null);
+    assert.equal(settings.get('wrap'), true);
+    storage.setItem(Settings.StorageKey, '{not json');
+    assert.equal(Settings.load(storage).get('wrap'), false);
+});
+
+test('listeners hear about changes, and only real ones', () => {
+    const settings = new Settings();
+    const heard = [];
+    settings.addListener('wrap', (value, previous) => heard.push(['wrap', value, previous]));
+    settings.addListener('change', (value, previous, name) => heard.push(['change', name]));
+    settings.set('wrap', true);
+    settings.set('wrap', true);
+    settings.set('players', 2);
+    assert.deepEqual(heard, [['wrap', true, false], ['change', 'wrap'], ['change', 'players']]);
+});
+
+test('a setting that fails its check is left as it was and not saved', () => {
+    const storage = new MemoryStorage();
+    const settings = new Settings(storage);
+    const heard = [];
+    settings.addListener('players', players => heard.push(players));
+    settings.addCheck('players', function (players) {
+        if (players > 1) {
+            throw new Error('No room for a second worm');
+        }
+    });
+    assert.throws(() => settings.set('players', 2), /No room/);
+    assert.equal(settings.get('players'), 1);
+    assert.equal(storage.getItem(Settings.StorageKey), null);
+    assert.deepEqual(heard, []);
+});
+
+test('unknown settings and values are refused', () => {
+    const settings = new Settings();
+    assert.throws(() => settings.set('players', 3), /Unknown players: 3/);
+    assert.throws(() => settings.set('colour', 'red'), /Unknown colour/);
+    assert.throws(() => settings.override({difficulty: 'impossible'}), /Unknown difficulty/);
+});
+
+test('overrides are used without being saved', () => {
+    const storage = new MemoryStorage();
+    const settings = new Settings(storage);
+    settings.override({food: true, wrap: undefined});
+    assert.equal(settings.get('food'), true);
+    assert.equal(settings.get('wrap'), false);
+    assert.equal(storage.getItem(Settings.StorageKey), null);
+});
+
+test('the panel chooses settings and cycles their values', () => {
+    const settings = new Settings();
+    const panel = new SettingsPanel(settings);
+    panel.open();
+    panel.keyDown('ArrowUp');
+    assert.equal(panel.name, 'theme');
+    panel.keyDown('ArrowLeft');
+    assert.equal(settings.get('theme'), 'contrast');
+    panel.keyDown('ArrowRight');
+    assert.equal(settings.get('theme'), 'classic');
+    panel.keyDown('Escape');
+    assert.ok(!panel.isOpen);
+});
+
+test('the separately saved settings of older versions are moved into Settings', () => {
+    const storage = GameStorage.migrate(new MemoryStorage({wrap: 'true', players: '2', level: 'Box'}));
+    const settings = Settings.load(storage);
+    assert.equal(settings.get('wrap'), true);
+    assert.equal(settings.get('players'), 2);
+    assert.equal(settings.get('level'), 'Box');
+    assert.equal(storage.getItem('wrap'), null);
+});
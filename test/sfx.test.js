@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load('logger.js', 'sounds.js', 'music.js', 'sfx.js', 'random.js');
+
+/** An AudioParam that records what was scheduled on it */
+function param() {
+    const calls = [];
+    const record = name => (...args) => calls.push([name, ...args]);
+    return {
+        calls: calls,
+        setValueAtTime: record('set'),
+        linearRampToValueAtTime: record('linear'),
+        exponentialRampToValueAtTime: record('exponential')
+    };
+}
+
+/** Just enough of an AudioContext to schedule effects on */
+function fakeContext() {
+    const context = {currentTime: 2, sampleRate: 100, nodes: []};
+    function node(props) {
+        const created = Object.assign({
+            connect(destination) {
+                this.destination = destination;
+            },
+            start(when) {
+                this.started = when;
+            },
+            stop(when) {
+                this.stopped = when;
+            }
+        }, props);
+        context.nodes.push(created);
+        return created;
+    }
+    context.createGain = () => node({gain: param()});
+    context.createOscillator = () => node({frequency: param()});
+    context.createBufferSource = () => node({});
+    context.createBuffer = (channels, length) => {
+        const data = new Float32Array(length);
+        return {length: length, getChannelData: () => data};
+    };
+    return context;
+}
+
+test('an effect follows its envelope and ends after the release', () => {
+    const effect = new SoundEffect({name: 'test', wave: 'square', volume: 0.5, duration: 0.2, note: 'A4',
+        envelope: {attack: 0.1, decay: 0.05, sustain: 0.5, release: 0.1}});
+    assert.ok(Math.abs(effect.length - 0.3) < 1e-9);
+    const context = fakeContext();
+    const destination = {};
+    const end = effect.play(context, destination, 1);
+    assert.ok(Math.abs(end - 1.3) < 1e-9);
+
+    const [oscillator, gain] = context.nodes;
+    assert.equal(oscillator.type, 'square');
+    assert.equal(oscillator.started, 1);
+    assert.equal(oscillator.stopped, end);
+    assert.equal(oscillator.destination, gain);
+    assert.equal(gain.destination, destination);
+    assert.deepEqual(oscillator.frequency.calls, [['set', Notes.A4, 1]]);
+    const levels = gain.gain.calls.map(call => [call[0], call[1]]);
+    assert.deepEqual(levels, [['set', 0], ['linear', 0.5], ['linear', 0.25], ['set', 0.25], ['linear', 0]]);
+});
+
+test('a short effect still has time for its attack and decay', () => {
+    const effect = new SoundEffect({name: 'test', wave: 'sine', volume: 1, duration: 0, note: 'C4',
+        envelope: {attack: 0.1, decay: 0.1}});
+    assert.equal(effect.holdTime, 0.2);
+    assert.equal(effect.envelope.sustain, 1);
+});
+
+test('sweeps slide to their note and arpeggios repeat theirs', () => {
+    const context = fakeContext();
+    new SoundEffect({name: 'test', wave: 'sine', volume: 1, duration: 0.4, note: 'C4', sweep: {to: 'C5'}}).play(context, {});
+    assert.deepEqual(context.nodes[0].frequency.calls[1], ['exponential', Notes.C5, 2.4]);
+
+    const arpeggio = fakeContext();
+    new SoundEffect({name: 'test', wave: 'sine', volume: 1, duration: 0.3, note: 'C4',
+        arpeggio: {notes: ['C4', 'E4'], step: 0.1}}).play(arpeggio, {}, 0);
+    const notes = arpeggio.nodes[0].frequency.calls.slice(1).map(call => call[1]);
+    assert.deepEqual(notes, [Notes.C4, Notes.E4, Notes.C4]);
+});
+
+test('noise fills a buffer for the length of the effect', () => {
+    const context = fakeContext();
+    new SoundEffect({name: 'test', wave: 'noise', volume: 1, duration: 0.5}).play(context, {});
+    const source = context.nodes[0];
+    assert.equal(source.buffer.length, 50);
+    assert.ok(source.buffer.getChannelData(0).every(sample => sample >= -1 && sample <= 1));
+});
+
+test('unknown waves are refused and every preset can be played', () => {
+    assert.throws(() => new SoundEffect({name: 'test', wave: 'organ'}), /Unknown wave: organ/);
+    for (const name in SoundEffect.Presets) {
+        const context = fakeContext();
+        assert.ok(SoundEffect.Presets[name].play(context, {}) > context.currentTime, name);
+    }
+});
+
+test('the preview screen chooses an effect and plays it', () => {
+    const preview = new SoundPreview();
+    preview.open();
+    assert.equal(preview.keyDown('ArrowDown'), null);
+    assert.equal(preview.keyDown('Enter'), Object.keys(SoundEffect.Presets)[1]);
+    preview.keyDown('ArrowUp');
+    preview.keyDown('ArrowUp');
+    assert.equal(preview.name, Object.keys(SoundEffect.Presets).pop());
+    preview.keyDown('Escape');
+    assert.ok(!preview.isOpen);
+});
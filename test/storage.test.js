@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const load = require('./load');
+
+load(...load.Engine, 'scores.js', 'settings.js', 'storage.js');
+
+/**
+ * Just enough of IndexedDB for IndexedDBStorage: requests call back
+ * asynchronously, like the browser's
+ * @param {Object<string, Map>} databases What's in each database, by name
+ */
+function fakeIndexedDB(databases = {}) {
+    function request(result, ...callbacks) {
+        const req = {result: result};
+        setTimeout(function () {
+            for (const callback of callbacks) {
+                req[callback]();
+            }
+        });
+        return req;
+    }
+    return {
+        databases: databases,
+        open(name) {
+            const isNew = !(name in databases);
+            const stores = databases[name] = databases[name] || {};
+            const db = {
+                createObjectStore: store => {
+                    stores[store] = new Map();
+                },
+                transaction: store => ({
+                    objectStore: () => ({
+                        put: (value, key) => stores[store].set(key, value),
+                        delete: key => stores[store].delete(key),
+                        openCursor() {
+                            const entries = Array.from(stores[store]);
+                            const cursor = request(null);
+                            function next() {
+                                const entry = entries.shift();
+                                cursor.result = entry ? {key: entry[0], value: entry[1], continue: next} : null;
+                                setTimeout(() => cursor.onsuccess());
+                            }
+                            next();
+                            return cursor;
+                        }
+                    })
+                })
+            };
+            return isNew ? request(db, 'onupgradeneeded', 'onsuccess') : request(db, 'onsuccess');
+        }
+    };
+}
+
+/** A Storage whose every call throws, like localStorage over its quota */
+const fullStorage = {
+    getItem(key) {
+        return key === 'old' ? 'kept' : null;
+    },
+    setItem() {
+        throw new Error('QuotaExceededError');
+    },
+    removeItem() {
+        throw new Error('QuotaExceededError');
+    },
+    length: 1,
+    key: () => 'old'
+};
+
+test('without localStorage, IndexedDB is opened and read', async () => {
+    const indexedDB = fakeIndexedDB();
+    const storage = await GameStorage.open(indexedDB);
+    assert.ok(storage instanceof IndexedDBStorage);
+    storage.setItem('wrap', true);
+    storage.setItem('level', 'Box');
+    storage.removeItem('level');
+
+    const reopened = await GameStorage.open(indexedDB);
+    assert.equal(reopened.getItem('wrap'), 'true');
+    assert.equal(reopened.getItem('level'), null);
+});
+
+test('when IndexedDB won\'t open either, everything is kept in memory', async () => {
+    const broken = {
+        open() {
+            const req = {error: new Error('blocked')};
+            setTimeout(() => req.onerror());
+            return req;
+        }
+    };
+    assert.ok(await GameStorage.open(broken) instanceof MemoryStorage);
+    assert.ok(await GameStorage.open(null) instanceof MemoryStorage);
+});
+
+test('a full localStorage keeps new values in memory', () => {
+    const storage = new WebStorage(fullStorage);
+    assert.equal(storage.getItem('old'), 'kept');
+    storage.setItem('wrap', true);
+    assert.equal(storage.getItem('wrap'), 'true');
+    assert.deepEqual(storage.keys().sort(), ['old', 'wrap']);
+    storage.removeItem('wrap');
+    assert.equal(storage.getItem('wrap'), null);
+});
+
+test('the old high score becomes the first entry in the default table', () => {
+    const storage = GameStorage.migrate(new MemoryStorage({highScore: 42}));
+    assert.equal(storage.getItem('highScore'), null);
+    assert.equal(Number(storage.getItem(GameStorage.VersionKey)), GameStorage.Migrations.length);
+    const table = HighScores.load(storage).table(HighScores.mode({}));
+    assert.equal(table.length, 1);
+    assert.equal(table[0].score, 42);
+    assert.equal(table[0].initials, '???');
+});
+
+test('migrations only run once', () => {
+    const storage = GameStorage.migrate(new MemoryStorage({highScore: 42}));
+    storage.setItem('highScore', 7);
+    GameStorage.migrate(storage);
+    assert.equal(storage.getItem('highScore'), '7');
+    assert.equal(HighScores.load(storage).table(HighScores.mode({})).length, 1);
+});